@@ -0,0 +1,151 @@
+/**
+ * game/ai/computer.js
+ *
+ * What it Does:
+ *   This file is a computer player. Each step it looks at the game
+ *   and returns the same kind of input a human player gives the engine
+ *   (dy, launch, swing, pitch), so the engine treats both the same.
+ *
+ *   As the pitcher it waits, picks a pitch, and throws it.
+ *   When a ball is coming it reacts, works out where the ball will be
+ *   with its strategy (game/ai/strategies.js), and moves there.
+ *   As the batter it decides if the pitch is a strike and times a swing.
+ *
+ *   How well it does all of this comes from its level (game/ai/levels.js)
+ *
+ * How to Use it:
+ *   const computer = new ComputerPlayer('hard');
+ *   let input = computer.think(engine, engine.player2, dt);
+ *
+ *   new ComputerPlayer('pro', { strategy: 'predict' }) swaps in another strategy
+ *
+ */
+
+import { boundBy } from '../helpers/utils.js';
+
+import levels from './levels.js';
+import strategies from './strategies.js';
+import { pitchTypes } from '../characters/pitches.js';
+
+class ComputerPlayer {
+    constructor(level = 'normal', { strategy, random = Math.random } = {}) {
+        this.random = random;
+        this.strategy = strategy;
+
+        this.setLevel(level);
+        this.reset();
+    }
+
+    setLevel(level) {
+        this.level = levels[level] || levels.normal;
+    }
+
+    // forget the last ball, eg. between pitches
+    reset() {
+        this.coming = false; // if a ball is on its way to us
+        this.reacting = 0; // time left before we move for it
+        this.offset = 0; // how far off our aim is
+        this.swingAt = null; // if we'll swing at this pitch
+        this.timing = 0; // how early or late our swing is
+        this.waiting = 0; // time spent waiting to pitch
+    }
+
+    think(engine, player, dt) {
+        const { ball, rules, atBat, screen } = engine;
+        const { level } = this;
+
+        let input = { active: true, dy: 0 };
+        let target = null;
+
+        // pitch after waiting a bit
+        let pitching = rules.pitching() === player.name;
+        if (pitching && !ball.launched) {
+            this.waiting += dt;
+            target = screen.centerY;
+
+            if (this.waiting >= level.serve) {
+                this.waiting = 0;
+                input.pitch = pitchTypes[Math.floor(this.random() * pitchTypes.length)];
+                input.launch = true;
+                input.dy = this.random() < 0.5 ? -1 : 1;
+                return input;
+            }
+        }
+
+        // wait in the middle for the next pitch
+        if (!pitching && !ball.launched) {
+            target = screen.centerY;
+        }
+
+        // a ball is coming when it moves the opposite way we face
+        let coming = ball.launched && ball.dx * player.facing < 0;
+        if (coming && !this.coming) { this.newBall(player); }
+        this.coming = coming;
+
+        if (coming) {
+            let front = player.facing > 0 ? player.x + player.width : player.x;
+
+            this.reacting -= dt;
+            if (this.reacting <= 0) {
+                target = this.predict(engine, front, dt) + this.offset;
+            }
+
+            let batting = ball.pitched && atBat && atBat.batter === player.name;
+            if (batting && !atBat.swung && this.shouldSwing(engine, player, front, dt)) {
+                input.swing = true;
+            }
+        }
+
+        // move toward the target, no faster than the level allows
+        if (target !== null) {
+            let m = screen.scale * dt * 0.01;
+            let dy = (target - player.cy) / (player.speed * m);
+            input.dy = boundBy(dy, level.speed, -level.speed);
+        }
+
+        return input;
+    }
+
+    // a new ball is coming, take a moment and pick how well we'll play it
+    newBall(player) {
+        const { level } = this;
+
+        this.reacting = level.reaction;
+        this.offset = (this.random() * 2 - 1) * level.error * player.height;
+        this.timing = (this.random() * 2 - 1) * level.timing;
+        this.swingAt = null;
+    }
+
+    // where the ball will be when it gets to x
+    predict(engine, x, dt) {
+        let strategy = this.strategy || this.level.strategy;
+        let predict = typeof strategy === 'function' ? strategy : strategies[strategy];
+
+        return predict(engine, x, dt);
+    }
+
+    shouldSwing(engine, player, front, dt) {
+        const { ball, umpire } = engine;
+
+        // decide once per pitch if it looks like a strike
+        if (this.swingAt === null && this.reacting <= 0 && umpire.zone) {
+            let y = this.predict(engine, front, dt);
+            let center = (umpire.zone.top + umpire.zone.bottom) / 2;
+            let strike = Math.abs(y - center) <= umpire.zone.height / 2 + ball.height / 2;
+            let seen = this.random() < this.level.eye;
+
+            this.swingAt = seen ? strike : !strike;
+        }
+
+        if (!this.swingAt) { return false; }
+
+        // swing when the ball is half a swing away from the middle of the bat
+        let distanceX = Math.abs(ball.cx - front) - player.width * player.reach / 2;
+        let speed = ball.across * engine.screen.scale * 0.01; // per millisecond
+        let arriving = distanceX / speed;
+
+        return arriving <= player.swingTime * (0.5 + this.timing);
+    }
+}
+
+export default ComputerPlayer;
\ No newline at end of file
@@ -0,0 +1,81 @@
+/**
+ * game/ai/levels.js
+ * 
+ * What it Does:
+ *   This file lists the difficulty levels for the computer player
+ * 
+ *   strategy: how the computer works out where the ball is going,
+ *   see game/ai/strategies.js
+ *   reaction: milliseconds before the computer starts moving for a new ball
+ *   error: how far off its aim can be, in player heights (0 is perfect).
+ *   more than half a height and it can miss the ball
+ *   speed: fastest it can move, 1 is as fast as a human holding a key
+ *   timing: how far off its swing can be, in swings (0 is perfect)
+ *   eye: chance it tells a ball from a strike (0.5 is a coin flip, 1 is perfect)
+ *   serve: milliseconds it waits before pitching
+ * 
+ * What to Change:
+ *   Add a level or tune one. difficulty in settings.json picks the starting level
+ * 
+ */
+
+const levels = {
+    easy: {
+        name: 'Easy',
+        strategy: 'follow',
+        reaction: 400,
+        error: 0.9,
+        speed: 0.25,
+        timing: 0.35,
+        eye: 0.55,
+        serve: 3000
+    },
+    normal: {
+        name: 'Normal',
+        strategy: 'predict',
+        reaction: 250,
+        error: 0.65,
+        speed: 0.45,
+        timing: 0.2,
+        eye: 0.7,
+        serve: 2500
+    },
+    hard: {
+        name: 'Hard',
+        strategy: 'predict',
+        reaction: 150,
+        error: 0.45,
+        speed: 0.7,
+        timing: 0.1,
+        eye: 0.85,
+        serve: 2000
+    },
+    pro: {
+        name: 'Pro',
+        strategy: 'read',
+        reaction: 80,
+        error: 0.25,
+        speed: 1,
+        timing: 0.05,
+        eye: 0.95,
+        serve: 1500
+    }
+};
+
+// level names from easiest to hardest
+const levelNames = Object.keys(levels);
+
+// name of the level for a difficulty setting
+// takes a level name, or a number from 1 to 10
+const levelFor = (difficulty) => {
+    if (levels[difficulty]) { return difficulty; }
+
+    let number = parseInt(difficulty);
+    if (isNaN(number)) { return 'normal'; }
+
+    let index = Math.floor((number - 1) / 10 * levelNames.length);
+    return levelNames[Math.min(Math.max(index, 0), levelNames.length - 1)];
+}
+
+export { levelNames, levelFor };
+export default levels;
\ No newline at end of file
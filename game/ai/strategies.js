@@ -0,0 +1,58 @@
+/**
+ * game/ai/strategies.js
+ * 
+ * What it Does:
+ *   This file has the ways a computer player can work out
+ *   where the ball will be when it gets to them
+ * 
+ *   each strategy takes the engine, the x the ball is headed for,
+ *   and the length of a step, and returns the center y of the ball at that x
+ * 
+ *   follow: where the ball is now, it doesn't look ahead
+ *   predict: keeps the ball going the way it's going now, bouncing off the top
+ *   and bottom of the screen. it doesn't read the break on a pitch, or gravity and spin
+ *   read: plays the ball's flight forward step by step, break and all
+ * 
+ * What to Change:
+ *   Add a new strategy and use it in game/ai/levels.js
+ * 
+ */
+
+const follow = ({ ball }) => ball.cy;
+
+const predict = ({ ball, screen }, x) => {
+    let { x: vx, y: vy } = ball.velocity;
+
+    let time = vx ? (x - ball.cx) / vx : -1;
+    if (time < 0) { return ball.cy; }
+
+    // fold the straight line path back into the screen for each bounce
+    let top = screen.top + ball.height / 2;
+    let span = screen.bottom - ball.height / 2 - top;
+    let y = ball.cy + vy * time - top;
+    let folded = ((y % (2 * span)) + 2 * span) % (2 * span);
+
+    return top + (folded > span ? 2 * span - folded : folded);
+}
+
+const read = (engine, x, dt) => {
+    const { ball, screen } = engine;
+
+    // a copy of the ball to fly ahead
+    let ghost = Object.assign(Object.create(Object.getPrototypeOf(ball)), ball);
+    ghost.pitched = ball.pitched && { ...ball.pitched };
+    ghost.batted = ball.batted && { ...ball.batted };
+
+    let m = screen.scale * dt * 0.01;
+    let heading = Math.sign(ghost.dx);
+
+    for (let i = 0; i < 1000 && (x - ghost.cx) * heading > 0; i += 1) {
+        ghost.move(m);
+    }
+
+    return ghost.cy;
+}
+
+const strategies = { follow, predict, read };
+
+export default strategies;
\ No newline at end of file
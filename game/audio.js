@@ -0,0 +1,247 @@
+/**
+ * game/audio.js
+ *
+ * What it Does:
+ *   This file plays the game's music and sound effects.
+ *   music and effects play through their own channels, each with a volume,
+ *   and both go through the master volume
+ *
+ *   volumes: { master, music, effects }, each 0 to 1
+ *   setVolume(channel, volume): changes a channel's volume
+ *   setMuted(muted): silences everything, without stopping it
+ *
+ *   addSounds(buffers): sounds that can be played, by key (eg. the loaded sounds.json)
+ *   has(key): if a sound was added
+ *   play(key, options): plays a sound effect, at its volume and with a little random pitch.
+ *   options.volume is times the sound's own volume (eg. 0.5 for half as loud)
+ *   stop(key): stops every copy of a sound that's playing
+ *
+ *   playMusic(key, fade): loops a track, crossfading from the one playing over fade milliseconds.
+ *   a track that wasn't added fades out the one playing
+ *   stopMusic(fade): fades out the music
+ *   duck(): turns the music down for a moment, eg. when someone scores
+ *
+ *   suspend(), resume(): stops and starts every sound where it is, eg. for pausing
+ *
+ * What to Change:
+ *   sounds: volume, pitch (how far the pitch can be moved each time it plays, eg. 0.1 is 10%),
+ *   and fallback (a sound to play when this one wasn't added) for each sound in sounds.json
+ *   FADE_TIME, DUCK_VOLUME, DUCK_TIME: how music fades and ducks
+ *
+ * How to Use it:
+ *   const audio = new AudioManager({ context, volumes: { music: 0.5 } });
+ *   audio.addSounds({ catchSound: buffer });
+ *   audio.play('catchSound');
+ *   audio.playMusic('backgroundMusic');
+ *
+ */
+
+import audioPlayback from 'audio-play';
+
+const channels = ['master', 'music', 'effects'];
+
+const sounds = {
+    backgroundMusic: { volume: 0.7 },
+    titleMusic: { volume: 0.7 },
+    bounceSound: { volume: 1, pitch: 0.05 },
+    catchSound: { volume: 1, pitch: 0.1, fallback: 'bounceSound' },
+    missSound: { volume: 0.8, pitch: 0.05 },
+    scoreSound: { volume: 1 },
+    crowdSound: { volume: 0.6, pitch: 0.05 },
+    umpireStrikeSound: { volume: 1, pitch: 0.03 },
+    umpireBallSound: { volume: 1, pitch: 0.03 },
+    umpireFoulSound: { volume: 1, pitch: 0.03 },
+    umpireOutSound: { volume: 1, pitch: 0.03 }
+};
+
+// milliseconds to crossfade music
+const FADE_TIME = 1000;
+
+// music volume while ducked, and for how long in milliseconds
+const DUCK_VOLUME = 0.3;
+const DUCK_TIME = 1500;
+
+class AudioManager {
+    constructor({ context, volumes = {}, muted = false }) {
+        this.context = context;
+
+        this.master = context.createGain();
+        this.master.connect(context.destination);
+
+        this.channels = {
+            music: context.createGain(),
+            effects: context.createGain()
+        };
+        Object.values(this.channels).forEach(channel => channel.connect(this.master));
+
+        // music goes through this on its way to the music channel,
+        // so ducking doesn't touch the volume setting
+        this.ducking = context.createGain();
+        this.ducking.connect(this.channels.music);
+
+        this.volumes = { master: 1, music: 1, effects: 1 };
+        channels.forEach(channel => {
+            let volume = parseFloat(volumes[channel]);
+            if (!isNaN(volume)) { this.volumes[channel] = Math.min(1, Math.max(0, volume)); }
+        });
+        this.muted = muted;
+
+        this.buffers = {};
+        this.playing = []; // { id, key, playback, gain } for each sound effect playing
+        this.count = 0; // for playing ids
+        this.music = null; // { key, playback, gain } for the track playing
+
+        this.applyVolumes();
+    }
+
+    setVolume(channel, volume) {
+        if (!channels.includes(channel)) { return; }
+
+        // in steps of 1%, so stepping up and down lands back on the same volume
+        this.volumes[channel] = Math.round(Math.min(1, Math.max(0, volume)) * 100) / 100;
+        this.applyVolumes();
+    }
+
+    setMuted(muted) {
+        this.muted = muted;
+        this.applyVolumes();
+    }
+
+    applyVolumes() {
+        this.master.gain.value = this.muted ? 0 : this.volumes.master;
+        this.channels.music.gain.value = this.volumes.music;
+        this.channels.effects.gain.value = this.volumes.effects;
+    }
+
+    addSounds(buffers = {}) {
+        Object.keys(buffers)
+        .filter(key => buffers[key])
+        .forEach(key => { this.buffers[key] = buffers[key]; });
+    }
+
+    has(key) {
+        return !!this.buffers[key];
+    }
+
+    // returns the id of the sound playing, or null if there's no sound to play
+    play(key, options = {}) {
+        let sound = sounds[key] || {};
+        let buffer = this.buffers[key];
+
+        if (!buffer) { return sound.fallback ? this.play(sound.fallback, options) : null; }
+
+        let volume = (sound.volume === undefined ? 1 : sound.volume) * (options.volume === undefined ? 1 : options.volume);
+        let pitch = sound.pitch || 0;
+
+        // each sound gets its own volume on its way to the effects channel
+        let gain = this.context.createGain();
+        gain.gain.value = volume;
+        gain.connect(this.channels.effects);
+
+        let id = this.count += 1;
+        let playback = audioPlayback(buffer, {
+            start: 0,
+            end: buffer.duration,
+            rate: 1 + (Math.random() * 2 - 1) * pitch,
+            context: this.context,
+            gain: gain
+        }, () => this.remove(id));
+
+        this.playing.push({ id: id, key: key, playback: playback, gain: gain });
+
+        return id;
+    }
+
+    // a sound that finished on its own
+    remove(id) {
+        this.playing = this.playing.filter(sound => {
+            if (sound.id !== id) { return true; }
+
+            sound.gain.disconnect();
+            return false;
+        });
+    }
+
+    // stops the sounds with this key, and keeps the rest playing
+    stop(key) {
+        this.playing = this.playing.filter(sound => {
+            if (sound.key !== key) { return true; }
+
+            sound.playback.pause();
+            sound.gain.disconnect();
+            return false;
+        });
+    }
+
+    playMusic(key, fade = FADE_TIME) {
+        if (this.music && this.music.key === key) { return; }
+
+        this.stopMusic(fade);
+
+        let buffer = this.buffers[key];
+        if (!buffer) { return; }
+
+        let { volume = 1 } = sounds[key] || {};
+
+        let gain = this.context.createGain();
+        gain.connect(this.ducking);
+        this.ramp(gain.gain, 0, volume, fade);
+
+        this.music = {
+            key: key,
+            gain: gain,
+            playback: audioPlayback(buffer, {
+                start: 0,
+                end: buffer.duration,
+                loop: true,
+                context: this.context,
+                gain: gain
+            })
+        };
+    }
+
+    stopMusic(fade = FADE_TIME) {
+        if (!this.music) { return; }
+
+        let { playback, gain } = this.music;
+        this.music = null;
+
+        this.ramp(gain.gain, gain.gain.value, 0, fade);
+        setTimeout(() => {
+            playback.pause();
+            gain.disconnect();
+        }, fade);
+    }
+
+    duck() {
+        let now = this.context.currentTime;
+        let { gain } = this.ducking;
+
+        // down quickly, hold, then back up slowly
+        gain.cancelScheduledValues(now);
+        gain.setValueAtTime(gain.value, now);
+        gain.linearRampToValueAtTime(DUCK_VOLUME, now + 0.1);
+        gain.setValueAtTime(DUCK_VOLUME, now + DUCK_TIME / 1000);
+        gain.linearRampToValueAtTime(1, now + DUCK_TIME / 1000 + 0.5);
+    }
+
+    // move an audio param from one value to another over time milliseconds
+    ramp(param, from, to, time) {
+        let now = this.context.currentTime;
+
+        param.cancelScheduledValues(now);
+        param.setValueAtTime(from, now);
+        param.linearRampToValueAtTime(to, now + time / 1000);
+    }
+
+    suspend() {
+        this.context.suspend();
+    }
+
+    resume() {
+        this.context.resume();
+    }
+}
+
+export { channels, sounds };
+export default AudioManager;
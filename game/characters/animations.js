@@ -0,0 +1,66 @@
+/**
+ * game/characters/animations.js
+ *
+ * What it Does:
+ *   This file lists the animation clips for each character
+ *   see game/objects/animation.js for how clips play
+ *
+ *   frames: frame numbers in the character's sprite sheet
+ *   duration: milliseconds for each frame, or one for all of them
+ *   loop: plays over and over
+ *   next: what to play after a one time clip
+ *
+ *   players:
+ *   idle: standing still
+ *   reach: moving for the ball
+ *   windup: throwing a pitch
+ *   catch: the ball lands in the mitt
+ *   miss: the ball gets past
+ *
+ *   a player without a sprite sheet acts the clips out with its colored box
+ *
+ *   ball:
+ *   spin: the ball turning as it flies.
+ *   a ball without a sprite sheet turns its image instead
+ *
+ * What to Change:
+ *   Change the frame numbers and durations to fit your sprite sheets
+ *
+ */
+
+const playerClips = {
+    idle: {
+        frames: [0],
+        loop: true
+    },
+    reach: {
+        frames: [1, 2],
+        duration: 120,
+        loop: true
+    },
+    windup: {
+        frames: [3, 4, 5],
+        duration: [120, 120, 80],
+        next: 'idle'
+    },
+    catch: {
+        frames: [6, 7],
+        duration: [80, 240],
+        next: 'idle'
+    },
+    miss: {
+        frames: [8, 9],
+        duration: [120, 360],
+        next: 'idle'
+    }
+};
+
+const ballClips = {
+    spin: {
+        frames: [0, 1, 2, 3, 4, 5, 6, 7],
+        duration: 40,
+        loop: true
+    }
+};
+
+export { playerClips, ballClips };
@@ -3,7 +3,30 @@
  * 
  * What it Does:
  *   This file is a basic ball character
- *   it extends the Sprite class and adds two collision detections methods
+ *   it extends the Sprite class and adds collision detection along the way it moves
+ * 
+ *   pitch(type, direction, distance): makes the ball fly like a pitch
+ *   from game/characters/pitches.js, curving as it goes
+ * 
+ *   hit(type, dx, aim, distance, spin): sends the ball back off the bat
+ *   like a hit from game/characters/hits.js, flying up (z) and down as it goes
+ *
+ *   the ball spins as it goes: it plays its spin clip if its image is a sprite sheet,
+ *   otherwise the image rolls along (see game/characters/animations.js)
+ *
+ *   the ball moves through game/physics.js, bouncing off the top and bottom of its bounds
+ *   anywhere along the way it moves in a step. path keeps each straight part of the way,
+ *   eg. before and after a bounce
+ *
+ *   velocity: how far the ball moves for a speed of 1 { x, y }, everything else about
+ *   how it's moving comes from this. (vx and vy from Sprite are still how far it moved last step)
+ *   speed: how fast it's going, setting it keeps the way it's going
+ *   dx, dy: the way it's going, as a vector one long
+ *   spin: how hard the ball curves, see game/physics.js
+ *
+ *   collisionsWith(entities): the first entity the ball touched along its path this step,
+ *   as { entity, contact }, or null. contact is from game/helpers/collision.js.
+ *   entities are rectangles, or circles if their shape is 'circle'
  * 
  * What to Change:
  *   Add any character specific methods
@@ -12,57 +35,254 @@
  */
 
 import ImageSprite from '../objects/imageSprite.js';
+import { catchHeight } from './hits.js';
+import { ballClips } from './animations.js';
+import { sweepCircleRect, sweepCircleCircle } from '../helpers/collision.js';
+import Physics from '../physics.js';
 
 class Ball extends ImageSprite {
-    constructor(options) {
-        super(options);
+    constructor({ physics = new Physics(), ...options }) {
+        super({ sheet: {}, clips: ballClips, ...options });
 
-        this.dx = -1;
-        // this.dy = -1;
-        this.dy = 0;
+        this.physics = physics;
+
+        this.velocity = { x: -this.speed, y: 0 };
+        this.spin = 0;
         this.launched = false;
+
+        // pitch in flight, see pitch()
+        this.pitched = null;
+
+        // batted ball in flight, see hit()
+        this.batted = null;
+
+        // height above the ground, 0 to 1
+        this.z = 0;
+
+        // the way the ball moved in the last step, [{ from, to }] of its center
+        this.path = [];
     }
 
     move(m) {
         if (!this.launched) { return; }
 
-        super.move(this.dx, this.dy, m);
+        let impulse = this.pitched ? this.curve(m) : { x: 0, y: 0 };
+        if (this.batted) { this.fly(m); }
+
+        let { x, y } = this;
+        let body = {
+            position: { x: this.x + this.width / 2, y: this.y + this.height / 2 },
+            velocity: { ...this.velocity },
+            spin: this.spin,
+            radius: this.radius
+        };
+
+        this.path = this.physics.step(body, m, { walls: this.edges(), impulse: impulse });
+        this.velocity = body.velocity;
+        this.spin = body.spin;
+
+        // stop at the left and right edges, where the ball gets past a player
+        const { left, right } = this.bounds;
+        this.setX(Math.min(Math.max(body.position.x - this.width / 2, left), right - this.width));
+        this.setY(body.position.y - this.height / 2);
+
+        if (this.dx < 0) { this.direction = 'right'; }
+        if (this.dx > 0) { this.direction = 'left'; }
+
+        // roll as far as the ball went, when there's no sheet of spin frames to play
+        if (this.animation.frames.length <= 1) {
+            let distance = Math.hypot(this.x - x, this.y - y);
+            this.rotation += (this.dx < 0 ? -1 : 1) * distance / (this.width / 2 || 1);
+        }
+    }
+
+    get speed() {
+        let { x, y } = this.velocity || { x: 0, y: 0 };
+        return Math.hypot(x, y);
+    }
+
+    // a ball that isn't moving goes straight across at its new speed,
+    // launch() points it the right way
+    set speed(speed) {
+        let current = this.speed;
+        let { x, y } = this.velocity || { x: 0, y: 0 };
+
+        this.velocity = current ? { x: x * speed / current, y: y * speed / current } : { x: speed, y: 0 };
+    }
+
+    get dx() {
+        let speed = this.speed;
+        return speed ? this.velocity.x / speed : 0;
+    }
+
+    get dy() {
+        let speed = this.speed;
+        return speed ? this.velocity.y / speed : 0;
+    }
+
+    // how fast the ball is going across, toward a player
+    get across() {
+        return Math.abs(this.velocity.x);
+    }
+
+    // the top and bottom of the bounds, as walls wider than the bounds
+    edges() {
+        const { top, right, bottom, left } = this.bounds;
+        let span = right - left;
+
+        return [
+            { x: left - span, y: top - this.height, width: span * 3, height: this.height },
+            { x: left - span, y: bottom, width: span * 3, height: this.height }
+        ];
+    }
+
+    // spin only while in flight
+    animate(dt) {
+        if (this.launched) { super.animate(dt); }
+    }
+
+    draw(alpha) {
+        // draw the ball bigger the higher it is
+        let lift = 1 + this.z * 0.6;
+        let { x, y } = this.interpolate(alpha);
+        let cx = x + this.width / 2;
+        let cy = y + this.height / 2;
+
+        this.ctx.save();
+        this.ctx.translate(cx, cy);
+        this.ctx.scale(lift, lift);
+        this.ctx.translate(-cx, -cy);
+
+        super.draw(alpha);
+
+        this.ctx.restore();
     }
 
-    launch(delay, dx, offset) {
+    // throw the ball like a pitch
+    // type: a pitch from game/characters/pitches.js
+    // direction: 1 to break down, -1 to break up
+    // distance: how far the pitch travels to reach the catcher
+    pitch(type, direction, distance) {
+        this.velocity = { x: Math.sign(this.velocity.x) * this.speed * type.speed, y: 0 };
+        this.spin = 0;
+
+        this.pitched = {
+            type: type,
+            direction: direction,
+            distance: distance,
+            traveled: 0
+        };
+    }
+
+    // bend the ball's path for one step of a pitch
+    // returns the change in velocity
+    curve(m) {
+        const { type, direction, distance, traveled } = this.pitched;
+
+        let stepX = this.across * m;
+        let progress = traveled / distance;
+
+        // the break is spread over the flight after breakStart
+        // the drop is spread over the whole flight
+        let breakRate = progress < type.breakStart ? 0 : 1 / (1 - type.breakStart);
+        let change = type.drop + direction * type.break * breakRate;
+
+        this.pitched.traveled = traveled + stepX;
+
+        return { x: 0, y: change * (stepX / distance) * this.across };
+    }
+
+    // to launch after a delay use engine.after(delay, fn)
+    launch(dx, offset) {
         let totalOffset = (offset + this.width) * dx;
 
-        this.stop();
-        if (delay) {
-            setTimeout(() => {
-                this.launched = true;
-                this.x = this.x + totalOffset;
-                this.dx = dx;
-            }, delay);
-        } else {
-            this.launched = true;
-            this.x = this.x + totalOffset;
-            this.dx = dx;
+        this.launched = true;
+        this.x = this.x + totalOffset;
+        this.velocity = { x: dx * this.speed, y: 0 };
+    }
+
+    // send the ball back the way it came off the bat
+    // type: a hit from game/characters/hits.js
+    // dx: direction across the field, 1 or -1
+    // aim: -1 to 1, how early (-1) or late (1) the swing was
+    // distance: how far it is across the field
+    // spin: see game/physics.js
+    hit(type, dx, aim, distance, spin = 0) {
+        this.pitched = null;
+
+        // aim is how far up or down for every step across
+        let across = this.speed * type.speed;
+        this.velocity = { x: dx * across, y: aim * type.spray * across };
+        this.spin = spin;
+
+        this.batted = {
+            type: type,
+            distance: distance,
+            traveled: 0,
+            minSpeed: this.speed * 0.4
+        };
+    }
+
+    // move a batted ball up and down along its arc for one step
+    fly(m) {
+        const { type, distance, traveled, minSpeed } = this.batted;
+
+        let stepX = this.across * m;
+        let progress = (traveled + stepX) / distance;
+
+        // height along an arc that lands at carry
+        let arc = type.carry ? progress / type.carry : 1;
+        this.z = arc < 1 ? 4 * type.height * arc * (1 - arc) : 0;
+
+        // roll on the ground
+        if (this.z === 0 && type.friction) {
+            this.speed = Math.max(minSpeed, this.speed * (1 - type.friction));
         }
+
+        this.batted.traveled = traveled + stepX;
+    }
+
+    // if the ball is low enough to catch
+    catchable() {
+        return this.z <= catchHeight;
     }
 
     stop() {
         this.launched = false;
-        this.dx = 0;
+        this.path = [];
+        this.velocity = { x: 0, y: 0 };
+        this.spin = 0;
+        this.z = 0;
+        this.pitched = null;
+        this.batted = null;
     }
 
+    // the first entity touched along the path, checking each part of it in order
     collisionsWith(entities) {
-        let result = entities
-        .find((ent) => { return this.collidesWith(ent); });
+        for (let { from, to } of this.path) {
+            let first = entities
+            .map(entity => ({ entity: entity, contact: this.sweep(from, to, entity) }))
+            .filter(({ contact }) => contact)
+            .sort((a, b) => a.contact.time - b.contact.time)[0];
+
+            if (first) { return first; }
+        }
 
-        return result;
+        return null;
     };
 
+    // contact with an entity along the whole path, or null
     collidesWith(entity) {
-        let distanceX = Math.abs(entity.cx - this.cx);
-        let onY = this.cy > entity.y && this.cy < entity.y + entity.height;
+        let found = this.collisionsWith([entity]);
+        return found && found.contact;
+    }
+
+    sweep(from, to, entity) {
+        if (entity.shape === 'circle') {
+            return sweepCircleCircle(from, to, this.radius, entity);
+        }
 
-        return onY && distanceX < (entity.width  + this.width) / 2;
+        return sweepCircleRect(from, to, this.radius, entity);
     }
 }
 
@@ -0,0 +1,67 @@
+/**
+ * game/characters/hits.js
+ * 
+ * What it Does:
+ *   This file lists the ways a batted ball can fly
+ *   the engine picks one from how well the batter meets the ball
+ *   and the ball reads it in ball.hit()
+ * 
+ *   speed: times the ballSpeed setting, for a perfect hit
+ *   spray: how far up or down the ball goes for every step it goes across,
+ *   for a swing that is all the way early or late
+ *   height: how high the ball flies at the top of its arc (0 to 1)
+ *   carry: how far across the field (0 to 1) the ball flies before it lands
+ *   friction: how much speed the ball loses each step it rolls on the ground
+ *   fair: false for balls that go out of play
+ * 
+ *   a ball can only be caught when it is low, see catchHeight
+ * 
+ * What to Change:
+ *   Change how far and fast batted balls fly
+ * 
+ */
+
+const hits = {
+    foul: {
+        name: 'Foul ball',
+        speed: 1.2,
+        spray: 1.5,
+        height: 1,
+        carry: 2,
+        friction: 0,
+        fair: false
+    },
+    grounder: {
+        name: 'Grounder',
+        speed: 1.1,
+        spray: 0.4,
+        height: 0,
+        carry: 0,
+        friction: 0.01,
+        fair: true
+    },
+    lineDrive: {
+        name: 'Line drive',
+        speed: 1.6,
+        spray: 0.25,
+        height: 0.15,
+        carry: 1.3,
+        friction: 0,
+        fair: true
+    },
+    flyBall: {
+        name: 'Fly ball',
+        speed: 0.9,
+        spray: 0.3,
+        height: 1,
+        carry: 1.05,
+        friction: 0.02,
+        fair: true
+    }
+};
+
+// highest a ball can be and still be caught
+const catchHeight = 0.3;
+
+export { catchHeight };
+export default hits;
\ No newline at end of file
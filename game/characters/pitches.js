@@ -0,0 +1,65 @@
+/**
+ * game/characters/pitches.js
+ * 
+ * What it Does:
+ *   This file lists the pitches a pitcher can throw
+ *   the ball reads these in ball.pitch() and curves along its flight
+ * 
+ *   speed: times the ballSpeed setting
+ *   break: how much the pitch curves up or down by the time it reaches the catcher.
+ *   the pitcher picks the direction, holding up or down when they let go
+ *   breakStart: how far along its flight (0 to 1) the pitch starts to break.
+ *   a late break is harder to read
+ *   drop: how much the pitch sinks toward the bottom of the screen over its flight
+ * 
+ *   break and drop are in how far the ball moves up or down
+ *   for every step it moves across, so 0.5 is half as fast as it moves across
+ * 
+ * What to Change:
+ *   Add a new pitch or change how one moves
+ * 
+ */
+
+const pitches = {
+    fastball: {
+        name: 'Fastball',
+        speed: 1.3,
+        break: 0,
+        breakStart: 0,
+        drop: 0.04
+    },
+    curveball: {
+        name: 'Curveball',
+        speed: 0.8,
+        break: 0.4,
+        breakStart: 0.35,
+        drop: 0.3
+    },
+    slider: {
+        name: 'Slider',
+        speed: 1.05,
+        break: 0.5,
+        breakStart: 0.6,
+        drop: 0.1
+    },
+    changeup: {
+        name: 'Changeup',
+        speed: 0.65,
+        break: 0.1,
+        breakStart: 0.5,
+        drop: 0.25
+    }
+};
+
+// pitch names in the order a pitcher flips through them
+const pitchTypes = Object.keys(pitches);
+
+// the pitch before or after type in the list
+// eg. nextPitch('fastball', 1) is 'curveball'
+const nextPitch = (type, step = 1) => {
+    let index = pitchTypes.indexOf(type) + step;
+    return pitchTypes[(index + pitchTypes.length) % pitchTypes.length];
+}
+
+export { pitchTypes, nextPitch };
+export default pitches;
\ No newline at end of file
@@ -5,27 +5,163 @@
  *   This file is a basic player character
  *   it extends the Sprite class and adds two collision detections methods
  * 
+ *   swing(): starts a swing of the bat, updateSwing(dt) moves it along
+ *   swinging is how far through the swing the player is (0 to 1)
+ *   or null when they aren't swinging
+ *
+ *   animate(dt): plays the player's clips (see game/characters/animations.js),
+ *   reaching while they move and standing still when they don't.
+ *   the engine plays catch, miss, and windup when those happen
+ *
+ *   images: { mitt, bat, pitcher }, all optional. setRole(role) picks the art:
+ *   the batter ('batter') wears the mitt and swings the bat,
+ *   the pitcher ('pitcher') is drawn as the pitcher, or the mitt without one.
+ *   anything without an image is drawn in the player's color.
+ *   the art can be a row of square frames, which plays the clips
+ *
+ *   the player's width and height are the box that catches the ball,
+ *   the art is drawn at its own size (see setArtSize in game/objects/imageSprite.js)
+ * 
  * What to Change:
  *   Add any character specific methods
  *   eg. eat
  * 
  */
 
-import Sprite from '../objects/sprite.js';
+import ImageSprite from '../objects/imageSprite.js';
+import { playerClips } from './animations.js';
+import { sliceSheet } from '../objects/animation.js';
+
+// moving faster than this many player heights a step is reaching
+const REACH_SPEED = 0.02;
 
-class Player extends Sprite {
+class Player extends ImageSprite {
     constructor(options) {
-        super(options);
+        // art faces right, so flip it for a player facing left
+        super({ clips: playerClips, direction: options.facing < 0 ? 'left' : 'right', ...options });
 
-        this.ctx = options.ctx;
         this.color = options.color;
         this.name = options.name;
         this.score = 0;
+
+        // art for each role, with its frames
+        const art = (image) => image ? { image: image, frames: sliceSheet(image) } : null;
+        let images = options.images || {};
+
+        this.art = {
+            batter: art(images.mitt),
+            pitcher: art(images.pitcher) || art(images.mitt)
+        };
+        this.bat = images.bat || null;
+
+        this.role = null;
+        this.setRole(options.role || 'batter');
+
+        // pitch to throw next, see game/characters/pitches.js
+        this.pitch = options.pitch || 'fastball';
+
+        // which way the player faces the field, 1 for right, -1 for left
+        this.facing = options.facing || 1;
+
+        // swing
+        this.swingTime = options.swingTime || 250; // milliseconds
+        this.reach = options.reach || 3; // bat length in player widths
+        this.swinging = null;
+    }
+
+    // role: 'batter' or 'pitcher'
+    setRole(role) {
+        if (role === this.role) { return; }
+
+        let art = this.art[role];
+
+        this.role = role;
+        this.image = art ? art.image : null;
+        this.animation.frames = art ? art.frames : [];
+    }
+
+    swing() {
+        if (this.swinging !== null) { return false; }
+
+        this.swinging = 0;
+        return true;
+    }
+
+    updateSwing(dt) {
+        if (this.swinging === null) { return; }
+
+        this.swinging += dt / this.swingTime;
+        if (this.swinging > 1) { this.swinging = null; }
     }
 
-    draw() {
+    animate(dt) {
+        const { current, clips } = this.animation;
+
+        // one time clips play out first
+        if (!current || clips[current].loop) {
+            this.play(Math.abs(this.vy) > this.height * REACH_SPEED ? 'reach' : 'idle');
+        }
+
+        super.animate(dt);
+    }
+
+    draw(alpha) {
+        let { x, y } = this.interpolate(alpha);
+
+        if (this.image) {
+            super.draw(alpha);
+        } else {
+            this.drawBox(x, y);
+        }
+
+        // bat sweeps across the front of the player
+        if (this.swinging !== null) {
+            let angle = (this.swinging - 0.5) * Math.PI * 0.8 * this.facing;
+
+            this.ctx.save();
+            this.ctx.translate(x + this.width / 2, y + this.height / 2);
+            this.ctx.rotate(angle);
+            this.drawBat();
+            this.ctx.restore();
+        }
+    }
+
+    // bat from the middle of the player, in front of them
+    drawBat() {
+        let length = this.width * this.reach;
+        let thickness = this.width / 2;
+
+        if (!this.bat) {
+            this.ctx.fillStyle = this.color;
+            this.ctx.fillRect(0, -thickness / 2, this.facing * length, thickness);
+            return;
+        }
+
+        // the bat image points right
+        let batHeight = length * this.bat.height / this.bat.width;
+
+        this.ctx.scale(this.facing, 1);
+        this.ctx.drawImage(this.bat, 0, -batHeight / 2, length, batHeight);
+    }
+
+    // act out the clip with a colored box:
+    // lean back to wind up, squeeze the mitt on a catch, and fade on a miss
+    drawBox(x, y) {
+        const { current, progress } = this.animation;
+        let amount = Math.sin(progress * Math.PI);
+
+        let lean = current === 'windup' ? -this.facing * this.width * 0.5 * amount : 0;
+        let squeeze = current === 'catch' ? 1 - 0.3 * amount : 1;
+
+        this.ctx.save();
+        this.ctx.globalAlpha = current === 'miss' ? 1 - 0.6 * amount : 1;
+        this.ctx.translate(x + this.width / 2 + lean, y + this.height / 2);
+        this.ctx.scale(squeeze, 1 / squeeze);
+
         this.ctx.fillStyle = this.color;
-        this.ctx.fillRect(this.x, this.y, this.width, this.height);
+        this.ctx.fillRect(-this.width / 2, -this.height / 2, this.width, this.height);
+
+        this.ctx.restore();
     }
 }
 
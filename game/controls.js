@@ -0,0 +1,107 @@
+/**
+ * game/controls.js
+ *
+ * What it Does:
+ *   This file keeps which key does what for each player.
+ *   Keys are KeyboardEvent codes, so they are the same keys
+ *   on any keyboard layout (eg. KeyW is Z on an AZERTY keyboard)
+ *
+ *   actions: up, down, pitchDown, pitchUp, launch, pause, mute
+ *   launch swings when the key goes down, and pitches when it comes up
+ *
+ *   actionFor(code): the player and action a key is bound to
+ *   eg. controls.actionFor('KeyW') is { player: 'player2', action: 'up' }
+ *
+ *   bind(player, action, code): binds a key, and takes it off any other action
+ *   reset(): goes back to the defaults
+ *   toJSON(): the bindings that differ from the defaults, for saving
+ *
+ * What to Change:
+ *   default keys are in settings.json under controls
+ *
+ * How to Use it:
+ *   const controls = new Controls(settings.controls, JSON.parse(saved));
+ *
+ */
+
+const actions = ['up', 'down', 'pitchDown', 'pitchUp', 'launch', 'pause', 'mute'];
+
+const actionNames = {
+    up: 'Move up',
+    down: 'Move down',
+    pitchDown: 'Last pitch',
+    pitchUp: 'Next pitch',
+    launch: 'Pitch / swing',
+    pause: 'Pause',
+    mute: 'Mute'
+};
+
+const players = ['player1', 'player2'];
+
+// short name for a key code
+// eg. KeyW is W, ArrowUp is ⇡, ShiftLeft is Left Shift
+const keyName = (code) => {
+    if (!code) { return '-'; }
+
+    const arrows = { ArrowUp: '⇡', ArrowDown: '⇣', ArrowLeft: '⇠', ArrowRight: '⇢' };
+    if (arrows[code]) { return arrows[code]; }
+
+    let name = code.replace(/^(Key|Digit)/, '');
+    let side = name.match(/^(.+)(Left|Right)$/);
+
+    return side ? `${side[2]} ${side[1]}` : name;
+}
+
+class Controls {
+    constructor(defaults = {}, saved = {}) {
+        this.defaults = defaults;
+        this.saved = saved || {};
+
+        this.reset();
+
+        players.forEach(player => {
+            let keys = this.saved[player] || {};
+            Object.keys(keys)
+            .filter(action => actions.includes(action))
+            .forEach(action => this.bind(player, action, keys[action]));
+        });
+    }
+
+    reset() {
+        this.bindings = players.reduce((bindings, player) => {
+            let keys = this.defaults[player] || {};
+            bindings[player] = actions.reduce((bound, action) => ({ ...bound, [action]: keys[action] || '' }), {});
+            return bindings;
+        }, {});
+    }
+
+    actionFor(code) {
+        for (let player of players) {
+            let action = actions.find(a => this.bindings[player][a] === code);
+            if (action) { return { player, action }; }
+        }
+
+        return null;
+    }
+
+    bind(player, action, code) {
+        // one key does one thing
+        let bound = code && this.actionFor(code);
+        if (bound) { this.bindings[bound.player][bound.action] = ''; }
+
+        this.bindings[player][action] = code || '';
+    }
+
+    toJSON() {
+        return players.reduce((changed, player) => {
+            let keys = this.defaults[player] || {};
+            changed[player] = actions
+            .filter(action => this.bindings[player][action] !== (keys[action] || ''))
+            .reduce((bound, action) => ({ ...bound, [action]: this.bindings[player][action] }), {});
+            return changed;
+        }, {});
+    }
+}
+
+export { actions, actionNames, players, keyName };
+export default Controls;
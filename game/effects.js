@@ -0,0 +1,214 @@
+/**
+ * game/effects.js
+ *
+ * What it Does:
+ *   This file draws effects that make things feel like they hit: particles,
+ *   a flash of the screen, screen shake, and hit-stop (holding the game still for a moment)
+ *
+ *   particles come from a pool made up front, so none are made or thrown
+ *   away while playing, and are drawn as plain squares to keep them cheap
+ *
+ *   burst(x, y, options): throws out a puff of particles
+ *   trail(ball, baseSpeed): leaves particles behind a flying ball, more the faster it goes
+ *   flash(color): flashes the screen
+ *   shake(amount, time): shakes the screen by up to amount pixels for time milliseconds
+ *   hitStop(time): holds the game still for time milliseconds, see holding()
+ *
+ *   update(dt, ball, baseSpeed): moves everything along, and trails the ball if it's flying
+ *   draw(): draws the particles, in the same place as the characters
+ *   offset(): how far the screen is shaken right now, { x, y }
+ *   drawFlash(width, height): draws the flash over the whole screen
+ *
+ *   reducedMotion: no shake, hit-stop, or trails, and a softer flash
+ *
+ * What to Change:
+ *   MAX_PARTICLES: most particles at once
+ *   change the look of each effect in the game (see showEffect in game/main.js)
+ *
+ * How to Use it:
+ *   const effects = new Effects({ ctx, reducedMotion: false });
+ *   effects.burst(100, 100, { count: 12, color: '#c8b08a' });
+ *   effects.update(1000 / 60, ball, 20);
+ *   effects.draw();
+ *
+ */
+
+const MAX_PARTICLES = 200;
+
+// how long a flash fades for, in milliseconds
+const FLASH_TIME = 300;
+
+class Effects {
+    constructor({ ctx, reducedMotion = false }) {
+        this.ctx = ctx;
+        this.reducedMotion = reducedMotion;
+
+        // pool of particles, the first count are alive
+        this.particles = Array.from({ length: MAX_PARTICLES }, () => ({
+            x: 0, y: 0, vx: 0, vy: 0, gravity: 0, size: 0, life: 0, maxLife: 1, color: ''
+        }));
+        this.count = 0;
+
+        this.trailCarry = 0; // part of a trail particle left over from the last step
+
+        this.flashColor = null;
+        this.flashTime = 0;
+
+        this.shakeAmount = 0;
+        this.shakeTime = 0;
+        this.shakeLength = 1;
+
+        this.stopTime = 0;
+    }
+
+    // x, y: where the particle starts
+    // speed in pixels a second, gravity in pixels a second a second, life in milliseconds
+    spawn(x, y, { vx, vy, gravity = 0, size = 3, life = 400, color = '#fff' }) {
+        if (this.count >= MAX_PARTICLES) { return; }
+
+        let particle = this.particles[this.count];
+        this.count += 1;
+
+        particle.x = x;
+        particle.y = y;
+        particle.vx = vx;
+        particle.vy = vy;
+        particle.gravity = gravity;
+        particle.size = size;
+        particle.life = life;
+        particle.maxLife = life;
+        particle.color = color;
+    }
+
+    burst(x, y, { count = 10, speed = 120, size = 3, life = 400, gravity = 200, color = '#fff' } = {}) {
+        for (let i = 0; i < count; i += 1) {
+            let angle = Math.random() * Math.PI * 2;
+            let fling = speed * (0.4 + Math.random() * 0.6);
+
+            this.spawn(x, y, {
+                vx: Math.cos(angle) * fling,
+                vy: Math.sin(angle) * fling,
+                gravity: gravity,
+                size: size * (0.5 + Math.random() * 0.5),
+                life: life * (0.6 + Math.random() * 0.4),
+                color: color
+            });
+        }
+    }
+
+    // about one particle a step at the starting ball speed
+    trail(ball, baseSpeed) {
+        if (this.reducedMotion) { return; }
+
+        this.trailCarry += ball.speed / baseSpeed;
+        while (this.trailCarry >= 1) {
+            this.trailCarry -= 1;
+
+            this.spawn(ball.cx + (Math.random() - 0.5) * ball.width / 2, ball.cy + (Math.random() - 0.5) * ball.height / 2, {
+                vx: 0,
+                vy: 0,
+                size: ball.width / 3,
+                life: 120 + ball.speed * 4,
+                color: 'rgba(255, 255, 255, 0.6)'
+            });
+        }
+    }
+
+    flash(color) {
+        this.flashColor = color;
+        this.flashTime = FLASH_TIME;
+    }
+
+    shake(amount, time) {
+        if (this.reducedMotion) { return; }
+
+        this.shakeAmount = amount;
+        this.shakeTime = time;
+        this.shakeLength = time;
+    }
+
+    hitStop(time) {
+        if (this.reducedMotion) { return; }
+
+        this.stopTime = Math.max(this.stopTime, time);
+    }
+
+    holding() {
+        return this.stopTime > 0;
+    }
+
+    // ball: trailed while it flies, baseSpeed: the ballSpeed setting
+    update(dt, ball, baseSpeed) {
+        let seconds = dt / 1000;
+
+        for (let i = 0; i < this.count; i += 1) {
+            let particle = this.particles[i];
+
+            particle.life -= dt;
+            if (particle.life <= 0) {
+                // swap the last live particle into this spot
+                this.count -= 1;
+                this.particles[i] = this.particles[this.count];
+                this.particles[this.count] = particle;
+                i -= 1;
+                continue;
+            }
+
+            particle.vy += particle.gravity * seconds;
+            particle.x += particle.vx * seconds;
+            particle.y += particle.vy * seconds;
+        }
+
+        if (ball && ball.launched && !this.holding()) { this.trail(ball, baseSpeed); }
+
+        this.flashTime = Math.max(0, this.flashTime - dt);
+        this.shakeTime = Math.max(0, this.shakeTime - dt);
+        this.stopTime = Math.max(0, this.stopTime - dt);
+    }
+
+    draw() {
+        const { ctx } = this;
+
+        ctx.save();
+        for (let i = 0; i < this.count; i += 1) {
+            let { x, y, size, life, maxLife, color } = this.particles[i];
+
+            ctx.globalAlpha = life / maxLife;
+            ctx.fillStyle = color;
+            ctx.fillRect(x - size / 2, y - size / 2, size, size);
+        }
+        ctx.restore();
+    }
+
+    offset() {
+        if (!this.shakeTime) { return { x: 0, y: 0 }; }
+
+        // settles down as it runs out
+        let amount = this.shakeAmount * this.shakeTime / this.shakeLength;
+        return {
+            x: (Math.random() * 2 - 1) * amount,
+            y: (Math.random() * 2 - 1) * amount
+        };
+    }
+
+    drawFlash(width, height) {
+        if (!this.flashTime) { return; }
+
+        let strength = this.reducedMotion ? 0.15 : 0.4;
+
+        this.ctx.save();
+        this.ctx.globalAlpha = strength * this.flashTime / FLASH_TIME;
+        this.ctx.fillStyle = this.flashColor;
+        this.ctx.fillRect(0, 0, width, height);
+        this.ctx.restore();
+    }
+
+    clear() {
+        this.count = 0;
+        this.flashTime = 0;
+        this.shakeTime = 0;
+        this.stopTime = 0;
+    }
+}
+
+export default Effects;
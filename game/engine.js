@@ -0,0 +1,817 @@
+/**
+ * game/engine.js
+ *
+ * What it Does:
+ *   This file is the game engine, it holds all of the game rules:
+ *   players, ball, collisions, scoring, winning, and the computer player.
+ *   It doesn't touch the document, canvas, local storage, or audio,
+ *   so it runs the same in the browser and in node.
+ *
+ *   step(inputs, dt): moves the game forward by dt milliseconds
+ *   using the inputs for each player, and returns the game state
+ *
+ *   events: a list of things that happened during the last step
+ *   eg. { type: 'catch', player: 'player2', speed: 26 }, { type: 'miss', player: 'player1' }
+ *   a ball that slows to a stop before it reaches anyone is a 'dead-ball' (see DEAD_SPEED),
+ *   a dead pitch is thrown again and a dead hit is an out
+ *   the browser game uses these to play sounds and show banners
+ *
+ *   after(delay, fn): runs fn once delay milliseconds of game time have passed.
+ *   use it instead of setTimeout so the game stays in step with its inputs
+ *
+ *   resetRound(): puts the players and ball back for the next pitch
+ *   endRound(): resets the round after a second, the ball can't be pitched till then
+ *   resetMatch(seed): starts a new game, with a new seed if one is given
+ *   layout(screen): sizes and places the characters for a new screen size
+ *
+ *   serialize(): everything moving in the game as plain data, eg. to send over the network
+ *   restore(data): puts the game where serialize() said it was.
+ *   timers aren't copied, so the engine that serialized it keeps running the game
+ *   animateEvent(event): plays a character's clip for an event, eg. catch
+ *   setDifficulty(level): changes how well the computer plays (see game/ai/levels.js)
+ *   setWinScore(score): changes the runs that win the game right away, 0 to play every inning
+ *   cleanInput(input): an input cut down to what step() reads, eg. from a player online
+ *
+ *   world: every character, tagged 'player' or 'ball' (see game/world.js).
+ *   player1, player2, and ball are the ones the rules are played with
+ *   addBall(options): puts another ball in play alongside the pitch, eg. for a multi-ball mode.
+ *   it flies like the ball, and is taken out with a 'ball-out' event once a player
+ *   stops it or it gets past them. extra balls aren't serialized
+ *   removeBall(ball): takes an extra ball out without an event
+ *
+ * What to Change:
+ *   Most changes to game play will be in the step function
+ *
+ * How to Use it:
+ *   const engine = new Engine({ settings, screen, seed });
+ *
+ *   seed: anything random in the game (eg. the computer's pitches) comes from
+ *   this seed, so the same seed and the same inputs play the same match.
+ *   a new seed is picked when none is given
+ *   engine.start();
+ *   engine.step({ player1: { dy: 1 }, player2: { active: false } }, 1000 / 60);
+ *
+ *   an input has:
+ *   active: false lets the computer play for that player (see game/ai/computer.js)
+ *   dy: -1 to 1 to move up or down
+ *   y: a screen position to move toward (mouse and touch)
+ *   launch: true to launch the ball from that player's side
+ *   pitch: 1 or -1 to flip to the next or last pitch, or the name of a pitch
+ *   (see game/characters/pitches.js)
+ *   the pitch breaks the way dy points when it's launched
+ *   swing: true to swing at a pitch coming toward that player
+ *
+ *   the player a pitch is thrown to is the batter. if they swing and meet the ball
+ *   it flies back as a hit (see game/characters/hits.js), and the pitcher fields it
+ *
+ *   the umpire (game/umpire.js) calls pitches that reach the catcher balls or strikes
+ *
+ *   how each pitch turns out is called to the rules (game/rules.js)
+ *   which keep the count, outs, innings, runners, and runs, and say who wins.
+ *   player2 bats first, from the left, then they switch sides each half inning
+ *
+ */
+
+import { randomSeed, seededRandom } from './helpers/utils.js';
+
+import Player from './characters/player.js';
+import Ball from './characters/ball.js';
+import pitches, { pitchTypes, nextPitch } from './characters/pitches.js';
+import hits from './characters/hits.js';
+import Rules from './rules.js';
+import Umpire from './umpire.js';
+import Physics, { physicsFor } from './physics.js';
+import World from './world.js';
+import ComputerPlayer from './ai/computer.js';
+import { levelFor } from './ai/levels.js';
+
+// base hit for a ball that gets past the fielder
+// better contact carries further
+const baseHitFor = (type, quality) => {
+    if (type === 'flyBall') { return quality > 0.7 ? 'homeRun' : 'double'; }
+    if (type === 'lineDrive') { return quality > 0.85 ? 'triple' : 'double'; }
+    return 'single';
+}
+
+// screen to use when none is given (eg. in node)
+const defaultScreen = (width = 800, height = 600) => ({
+    top: 0,
+    bottom: height,
+    left: 0,
+    right: width,
+    centerX: width / 2,
+    centerY: height / 2,
+    scale: ((width + height) / 2) * 0.003
+});
+
+// a ball going across slower than this, times the ballSpeed setting, is dead,
+// eg. slowed down by drag before it reached anyone
+const DEAD_SPEED = 0.1;
+
+// only the parts of an input the engine reads, as the types it expects,
+// so an input from outside the game (eg. a player online) can't be anything the engine doesn't handle
+const cleanInput = ({ dy, y, launch, swing, pitch }) => {
+    let input = {
+        launch: launch === true,
+        swing: swing === true
+    };
+
+    if (Number.isFinite(dy)) { input.dy = Math.min(1, Math.max(-1, dy)); }
+    if (Number.isFinite(y)) { input.y = y; }
+
+    let named = typeof pitch === 'string' && Object.prototype.hasOwnProperty.call(pitches, pitch);
+    if (pitch === 1 || pitch === -1 || named) { input.pitch = pitch; }
+
+    return input;
+}
+
+// draw order, see game/world.js
+const layers = {
+    players: 0,
+    balls: 1
+};
+
+class Engine {
+    constructor({ settings, screen, colors = {}, ctx, images = {}, seed = randomSeed() }) {
+        this.settings = settings; // customization
+        this.screen = screen || defaultScreen();
+
+        // all game play randomness comes from here, never Math.random
+        this.seed = seed;
+        this.random = seededRandom(seed);
+
+        // only handed to the characters for drawing
+        this.colors = colors;
+        this.ctx = ctx;
+        this.images = images;
+
+        this.time = 0; // game time in milliseconds
+        this.timers = [];
+        this.events = [];
+
+        // the round is over and about to be reset, see endRound
+        this.roundOver = false;
+
+        this.state = {
+            current: 'ready',
+            prev: null
+        };
+
+        this.rules = new Rules(this.settings);
+        this.umpire = new Umpire(this.settings);
+
+        // plays for anyone without a human
+        let level = levelFor(this.settings.difficulty);
+        this.computers = {
+            player1: new ComputerPlayer(level, { random: () => this.random() }),
+            player2: new ComputerPlayer(level, { random: () => this.random() })
+        };
+
+        this.create();
+    }
+
+    create() {
+        // create game characters
+        // sizes and places are set in layout
+        this.world = new World();
+
+        // player art is optional, players are drawn in their colors without it
+        let playerImages = {
+            mitt: this.images.mittImage,
+            bat: this.images.batImage,
+            pitcher: this.images.pitcherImage
+        };
+
+        this.player1 = new Player({
+            name: 'player1',
+            ctx: this.ctx,
+            color: this.colors.rightPaddleColor,
+            images: playerImages,
+            facing: -1,
+            speed: 50
+        });
+
+        this.player2 = new Player({
+            name: 'player2',
+            ctx: this.ctx,
+            color: this.colors.leftPaddleColor,
+            images: playerImages,
+            facing: 1,
+            speed: 50
+        });
+
+        this.ball = new Ball({
+            ctx: this.ctx,
+            image: this.images.ballImage,
+            speed: parseInt(this.settings.ballSpeed),
+            physics: new Physics(physicsFor(this.settings))
+        });
+
+        this.world.spawn(this.player1, { tags: ['player'], layer: layers.players });
+        this.world.spawn(this.player2, { tags: ['player'], layer: layers.players });
+        this.world.spawn(this.ball, { tags: ['ball'], layer: layers.balls });
+
+        this.layout(this.screen);
+        this.resetRound();
+    }
+
+    // size and place the characters for a screen
+    // characters keep their place relative to the screen, so the game
+    // carries on where it was when the screen changes size
+    layout(screen) {
+        const prev = this.layoutScreen || screen;
+        const { scale, right } = screen;
+        const { playerHeight, playerWidth, playerArtWidth, playerArtHeight } = this.settings;
+
+        this.screen = screen;
+        this.layoutScreen = screen;
+
+        // keep a center y in the same place on the new screen
+        const relativeY = (cy, height) => (cy / prev.bottom) * screen.bottom - height / 2;
+
+        let pHeight = playerHeight * scale;
+        let pWidth = playerWidth * scale;
+
+        [this.player1, this.player2].forEach(player => {
+            player.setSize(pWidth, pHeight);
+            player.setArtSize((playerArtWidth || playerWidth) * scale, (playerArtHeight || playerHeight) * scale);
+            player.setBounds(screen);
+            player.setY(relativeY(player.cy, pHeight));
+            player.move(0, 0, 0); // snap into bounds
+        });
+
+        this.player1.setX(right - pWidth);
+        this.player2.setX(0);
+
+        // ball
+        let ballSize = parseInt(this.settings.ballSize);
+
+        let ballWidth = ballSize * scale;
+        let ballHeight = ballSize * scale;
+
+        this.world.all('ball').forEach(ball => {
+            ball.setSize(ballWidth, ballHeight);
+            ball.setBounds({
+                top: 0,
+                right: screen.right + ballWidth,
+                left: screen.left - ballWidth,
+                bottom: screen.bottom
+            });
+            ball.setX((ball.x / prev.right) * screen.right);
+            ball.setY(relativeY(ball.cy, ballHeight));
+        });
+
+        // don't draw the jump from the old screen
+        this.world.all().forEach(sprite => sprite.snapshot());
+    }
+
+    // put players and ball back in place for the next pitch
+    // the ball goes to whoever is pitching
+    resetRound() {
+        const { centerY, right, left } = this.screen;
+
+        [this.player1, this.player2].forEach(player => {
+            player.setY(centerY - player.height / 2);
+        });
+
+        let pitcher = this[this.rules.pitching()];
+        this.setRoles();
+
+        this.ball.stop();
+        this.ball.speed = parseInt(this.settings.ballSpeed);
+        this.ball.setX(pitcher === this.player1 ? right + this.ball.width : left - this.ball.width);
+        this.ball.setY(pitcher.y);
+
+        this.world.all().forEach(sprite => sprite.snapshot());
+
+        this.timers = [];
+        this.roundOver = false;
+        Object.values(this.computers).forEach(computer => computer.reset());
+
+        // who is pitching and batting, set when the ball is launched
+        this.atBat = null;
+        this.umpire.clear();
+
+        this.emit('reset');
+    }
+
+    // start a new match with the same players
+    // the match starts from its seed, so it can be played again
+    resetMatch(seed = this.seed) {
+        this.seed = seed;
+        this.random = seededRandom(seed);
+        this.time = 0;
+
+        this.rules = new Rules(this.settings);
+        this.extraBalls().forEach(ball => this.removeBall(ball));
+
+        [this.player1, this.player2].forEach(player => {
+            player.score = 0;
+            player.pitch = pitchTypes[0];
+            player.swinging = null;
+        });
+
+        this.resetRound();
+        this.setState({ current: 'play' });
+    }
+
+    // dress the players for pitching and batting (see game/characters/player.js)
+    setRoles() {
+        this[this.rules.pitching()].setRole('pitcher');
+        this[this.rules.batting()].setRole('batter');
+    }
+
+    // level: a level name from game/ai/levels.js
+    setDifficulty(level) {
+        Object.values(this.computers).forEach(computer => computer.setLevel(levelFor(level)));
+    }
+
+    // carries on to the next match
+    setWinScore(score) {
+        this.settings = { ...this.settings, winScore: score };
+        this.rules.winScore = parseInt(score) || 0;
+    }
+
+    start() {
+        if (this.state.current !== 'ready') { return; }
+
+        // start from a fresh round, so a replay of the match starts the same
+        this.resetRound();
+        this.setState({ current: 'play' });
+    }
+
+    step(inputs = {}, dt) {
+        const input1 = { active: true, ...inputs.player1 };
+        const input2 = { active: false, ...inputs.player2 };
+
+        this.events = [];
+
+        // remember where characters were before this step
+        this.world.all().forEach(sprite => sprite.snapshot());
+
+        if (this.state.current !== 'play') { return this.getState(); }
+
+        // move the game clock and run anything that is due
+        this.time += dt;
+        this.runTimers();
+
+        // distance a speed of 1 covers in this step
+        let m = this.screen.scale * dt * 0.01;
+
+        // check for winner
+        if (this.rules.over && this.rules.winner) {
+            this.setState({ current: `win-${this.rules.winner}` });
+            this.emit('win', { player: this.rules.winner, runs: { ...this.rules.runs } });
+        }
+
+        // or a tie, with extra innings off
+        if (this.rules.over && !this.rules.winner) {
+            this.setState({ current: 'tie' });
+            this.emit('tie', { runs: { ...this.rules.runs } });
+        }
+
+        // players
+        this.play(this.player1, 'right', input1, dt, m);
+        this.play(this.player2, 'left', input2, dt, m);
+
+        this.world.all('player').forEach(player => player.updateSwing(dt));
+        this.world.all().forEach(sprite => sprite.animate(dt));
+
+        // batter meets the ball
+        if (this.ball.launched && this.ball.pitched) {
+            let batter = this[this.atBat.batter];
+            if (batter.swinging !== null) { this.contact(batter); }
+        }
+
+        // balls fly, bouncing off the ceiling and floor
+        this.world.all('ball').forEach(ball => ball.move(m));
+
+        // catch the ball, anywhere along the way it flew this step
+        let touch = this.ball.launched && this.world.collisions(this.ball, 'player');
+        let collided = this.caught(touch);
+
+        // batter's mitt stops a pitch they didn't hit
+        if (collided && this.ball.pitched && collided.name === this.atBat.batter) {
+            this.callPitch();
+            this.catchBall(collided, touch.contact);
+        }
+
+        // pitcher fields a hit that is low enough to catch
+        if (collided && this.ball.batted && collided.name === this.atBat.pitcher) {
+            if (this.ball.batted.type.fair && this.ball.catchable()) {
+                this.catchBall(collided, touch.contact);
+                this.call('out');
+            }
+        }
+
+        // ball gets past a player
+        let pastLeft = this.ball.x <= this.ball.bounds.left;
+        let pastRight = this.ball.x + this.ball.width >= this.ball.bounds.right;
+        if (this.ball.launched && (pastLeft || pastRight)) {
+            this.emit('miss', { player: pastLeft ? 'player2' : 'player1' });
+
+            // a pitch that got past the batter
+            if (this.ball.pitched) {
+                this.callPitch();
+            }
+
+            // a hit that got past the pitcher is a base hit
+            if (this.ball.batted && this.ball.batted.type.fair) {
+                this.call(this.atBat.hit);
+            }
+
+            this.ball.stop();
+            this.endRound();
+        }
+
+        // a ball that stopped before it reached anyone
+        // a foul is already on its way back to the next pitch
+        let live = this.ball.pitched || (this.ball.batted && this.ball.batted.type.fair);
+        if (this.ball.launched && live && this.dead(this.ball)) {
+            this.deadBall();
+        }
+
+        this.extraBalls().forEach(ball => this.stepExtraBall(ball));
+
+        // umpire marks where the pitch crosses the plate
+        if (this.ball.pitched) { this.umpire.watch(this.ball); }
+
+        return this.getState();
+    }
+
+    // the player who caught a ball from what it touched, or null
+    // only the front of the mitt catches, a ball that clips the top or bottom of it gets by
+    caught(touch) {
+        return touch && touch.contact.normal.y === 0 ? touch.entity : null;
+    }
+
+    dead(ball) {
+        return ball.across < parseInt(this.settings.ballSpeed) * DEAD_SPEED;
+    }
+
+    deadBall() {
+        let { pitched, batted } = this.ball;
+
+        this.emit('dead-ball', { player: pitched ? this.atBat.batter : this.atBat.pitcher });
+
+        // a pitch that never reached the plate doesn't count, it's thrown again
+        if (pitched) { this.umpire.clear(); }
+
+        // a hit that dies in the field is picked up for an out
+        if (batted) { this.call('out'); }
+
+        this.ball.stop();
+        this.endRound();
+    }
+
+    // balls in play other than the one the rules are played with
+    extraBalls() {
+        return this.world.all('ball').filter(ball => ball !== this.ball);
+    }
+
+    // an extra ball is out once a player stops it, it gets past them, or it dies on its way
+    stepExtraBall(ball) {
+        let player = this.caught(this.world.collisions(ball, 'player'));
+
+        let pastLeft = ball.x <= ball.bounds.left;
+        let pastRight = ball.x + ball.width >= ball.bounds.right;
+        let dead = this.dead(ball);
+        if (!player && !pastLeft && !pastRight && !dead) { return; }
+
+        // player1 is on the right
+        let headedFor = pastLeft || (!pastRight && ball.dx < 0) ? 'player2' : 'player1';
+
+        this.emit('ball-out', {
+            player: player ? player.name : headedFor,
+            caught: !!player
+        });
+        this.removeBall(ball);
+    }
+
+    // x, y: where the ball starts
+    // dx: which way it goes across, 1 or -1, dy: how far up or down for every step across
+    // speed: how fast it goes across, times the ballSpeed setting
+    addBall({ x = this.screen.centerX, y = this.screen.centerY, dx = 1, dy = 0, speed = 1 } = {}) {
+        let across = parseInt(this.settings.ballSpeed) * speed;
+        let ball = new Ball({
+            ctx: this.ctx,
+            image: this.images.ballImage,
+            physics: this.ball.physics
+        });
+
+        ball.setSize(this.ball.width, this.ball.height);
+        ball.setBounds(this.ball.bounds);
+        ball.setX(x - ball.width / 2);
+        ball.setY(y - ball.height / 2);
+        ball.snapshot();
+
+        ball.velocity = { x: dx * across, y: dy * across };
+        ball.launched = true;
+
+        return this.world.spawn(ball, { tags: ['ball'], layer: layers.balls });
+    }
+
+    removeBall(ball) {
+        if (ball !== this.ball) { this.world.despawn(ball); }
+    }
+
+    movePlayer(player, input, m) {
+        // follow the mouse or finger
+        if (typeof input.y === 'number') {
+            let diffY = input.y - player.y - player.height / 2;
+            player.move(0, diffY / 100, 1);
+            return;
+        }
+
+        // move with keys
+        player.move(0, input.dy || 0, m);
+    }
+
+    // a player plays with their input, or the computer thinks one up for them
+    play(player, side, input, dt, m) {
+        if (!input.active) {
+            input = this.computers[player.name].think(this, player, dt);
+        }
+
+        this.movePlayer(player, input, m);
+        if (input.pitch) { this.selectPitch(player, input.pitch); }
+        if (input.launch) { this.launch(side, input.dy); }
+        if (input.swing) { this.swing(player); }
+    }
+
+    // throw the selected pitch from a side
+    // direction: which way the pitch breaks, up (-1) or down (1)
+    launch(side, direction) {
+        // ignore if ball is launched, or the round is about to be reset
+        if (this.ball.launched || this.roundOver) { return; }
+
+        // launch only from the side the ball is on
+        let rightSide = this.ball.x > this.screen.centerX;
+        if ((side === 'right') !== rightSide) { return; }
+
+        let pitcher = side === 'right' ? this.player1 : this.player2;
+        let dx = side === 'right' ? -1 : 1;
+
+        // only the team in the field pitches
+        if (pitcher.name !== this.rules.pitching()) { return; }
+
+        // reset ball speed
+        this.ball.speed = parseInt(this.settings.ballSpeed);
+
+        this.ball.setY(pitcher.y);
+        this.ball.launch(dx, pitcher.width);
+
+        // the pitch flies across to the other player
+        let distance = this.screen.right - pitcher.width * 2 - this.ball.width;
+        this.ball.pitch(pitches[pitcher.pitch], direction < 0 ? -1 : 1, distance);
+
+        // thrown harder against drag, so it still gets to the plate at its own speed
+        this.ball.speed = this.ball.physics.reachSpeed(this.ball.speed, distance);
+
+        this.umpire.setZone(this[this.rules.batting()]);
+
+        this.atBat = {
+            pitcher: pitcher.name,
+            batter: side === 'right' ? 'player2' : 'player1',
+            swung: false,
+            hit: null // base hit if the ball gets past the pitcher
+        };
+
+        this.emit('launch', { player: pitcher.name, pitch: pitcher.pitch });
+    }
+
+    // swing at the pitch, once per pitch
+    swing(player) {
+        if (!this.ball.launched || !this.ball.pitched) { return; }
+        if (this.atBat.batter !== player.name || this.atBat.swung) { return; }
+
+        player.swing();
+        this.atBat.swung = true;
+
+        this.emit('swing', { player: player.name });
+    }
+
+    // check if a swinging batter meets the ball
+    // where the ball meets the bat and when in the swing decide the hit
+    contact(batter) {
+        let front = batter.facing > 0 ? batter.x + batter.width : batter.x;
+        let distanceX = (this.ball.cx - front) * batter.facing; // in front of the batter
+        let inReach = distanceX > -batter.width && distanceX < batter.width * batter.reach;
+
+        // -1 top of the bat, 1 bottom of the bat
+        let offset = (this.ball.cy - batter.cy) / (batter.height / 2);
+
+        if (!inReach || Math.abs(offset) > 1) { return; }
+
+        // -1 late, 1 early
+        let timing = (batter.swinging - 0.5) * 2;
+
+        let quality = 1 - (Math.abs(offset) * 0.6 + Math.abs(timing) * 0.4);
+        let type = 'grounder';
+        if (Math.abs(timing) > 0.75 || quality < 0.3) {
+            type = 'foul';
+        } else if (Math.abs(offset) < 0.3) {
+            type = 'lineDrive';
+        } else if (offset < 0) {
+            type = 'flyBall';
+        }
+
+        // early swings pull the ball up, late swings push it down
+        // and spin carries it further the way it's going
+        let aim = type === 'foul' ? (timing < 0 ? 1 : -1) : -timing;
+        let spin = aim * batter.facing;
+        let distance = this.screen.right - batter.width * 2 - this.ball.width;
+
+        this.ball.speed = parseInt(this.settings.ballSpeed) * (0.6 + 0.4 * quality);
+        this.ball.hit(hits[type], batter.facing, aim, distance, spin);
+
+        // and hit harder against drag, so it still gets out to the field
+        this.ball.speed = this.ball.physics.reachSpeed(this.ball.speed, distance);
+
+        this.atBat.hit = baseHitFor(type, quality);
+
+        this.emit('contact', { player: batter.name, hit: type, quality: quality });
+
+        if (type === 'foul') {
+            this.announce('foul');
+            this.call('foul');
+            this.endRound();
+        }
+    }
+
+    // contact: where the ball met the player, so it stops there and not past them
+    catchBall(player, contact) {
+        if (contact) {
+            this.ball.setX(contact.position.x - this.ball.width / 2);
+            this.ball.setY(contact.position.y - this.ball.height / 2);
+        }
+
+        this.emit('catch', { player: player.name, speed: this.ball.speed });
+        this.ball.stop();
+
+        this.endRound();
+    }
+
+    // flip through pitches before throwing
+    // pitch: 1 or -1 to flip, or the name of a pitch to pick it
+    selectPitch(player, pitch) {
+        let named = Object.prototype.hasOwnProperty.call(pitches, pitch);
+        player.pitch = named ? pitch : nextPitch(player.pitch, pitch);
+
+        this.emit('pitch', { player: player.name, pitch: player.pitch });
+    }
+
+    // umpire calls a pitch that reached the catcher
+    callPitch() {
+        let call = this.umpire.call(this.ball, this.atBat.swung);
+
+        this.announce(call);
+        this.call(call);
+    }
+
+    // what the umpire shouts, shown on the banner
+    announce(call) {
+        this.emit('umpire', { call: call, text: this.umpire.announce(call, this.rules) });
+    }
+
+    // tell the rules how the pitch turned out, and pass on what happened
+    // outcome: see game/rules.js
+    call(outcome) {
+        this.emit('call', { player: this.atBat.batter, call: outcome });
+
+        this.rules.call(outcome).forEach(event => this.emit(event.type, event));
+
+        // scores are runs
+        this.player1.score = this.rules.runs.player1;
+        this.player2.score = this.rules.runs.player2;
+    }
+
+    // reset the round after a second, nothing can be pitched till then
+    endRound() {
+        this.roundOver = true;
+        this.after(1000, () => this.resetRound());
+    }
+
+    // run fn after delay milliseconds of game time
+    after(delay, fn) {
+        this.timers.push({ time: this.time + delay, fn: fn });
+    }
+
+    runTimers() {
+        let due = this.timers.filter(t => t.time <= this.time);
+        this.timers = this.timers.filter(t => t.time > this.time);
+        due.forEach(t => t.fn());
+    }
+
+    emit(type, data = {}) {
+        let event = { type: type, time: this.time, ...data };
+
+        this.events.push(event);
+        this.animateEvent(event);
+    }
+
+    // characters act out what happened (see game/characters/animations.js)
+    // also called for events from a game played somewhere else, eg. online
+    animateEvent({ type, player }) {
+        let clip = { launch: 'windup', catch: 'catch', miss: 'miss' }[type];
+        if (clip && this[player]) { this[player].play(clip); }
+    }
+
+    // update game state
+    setState(state) {
+        this.state = {
+            ...this.state,
+            ...{ prev: this.state.current },
+            ...state,
+        };
+    }
+
+    serialize() {
+        // pitches and hits are sent by name
+        const nameOf = (list, type) => Object.keys(list).find(key => list[key] === type);
+        const flight = (flying, list) => flying && { ...flying, type: nameOf(list, flying.type) };
+
+        const player = ({ y, score, pitch, swinging }) => ({ y, score, pitch, swinging });
+        const { x, y, velocity, spin, launched, z } = this.ball;
+
+        return {
+            state: { ...this.state },
+            time: this.time,
+            screen: { ...this.screen },
+            rules: this.rules.getState(),
+            umpire: { zone: this.umpire.zone && { ...this.umpire.zone }, crossedY: this.umpire.crossedY },
+            atBat: this.atBat && { ...this.atBat },
+            player1: player(this.player1),
+            player2: player(this.player2),
+            ball: {
+                x, y, spin, launched, z,
+                velocity: { ...velocity },
+                pitched: flight(this.ball.pitched, pitches),
+                batted: flight(this.ball.batted, hits)
+            }
+        };
+    }
+
+    restore(data) {
+        const flight = (flying, list) => flying && { ...flying, type: list[flying.type] };
+
+        if (data.screen.right !== this.screen.right || data.screen.bottom !== this.screen.bottom) {
+            this.layout(data.screen);
+        }
+
+        this.state = { ...data.state };
+        this.time = data.time;
+
+        const { runs, lineScore, bases, batting, pitching, ...count } = data.rules;
+        Object.assign(this.rules, count, {
+            runs: { ...runs },
+            lineScore: { player1: [...lineScore.player1], player2: [...lineScore.player2] },
+            bases: [...bases]
+        });
+
+        this.umpire.zone = data.umpire.zone;
+        this.umpire.crossedY = data.umpire.crossedY;
+        this.atBat = data.atBat;
+
+        ['player1', 'player2'].forEach(name => {
+            const { y, ...player } = data[name];
+            Object.assign(this[name], player);
+            this[name].setY(y);
+        });
+
+        const { x, y, pitched, batted, ...ball } = data.ball;
+        Object.assign(this.ball, ball, {
+            pitched: flight(pitched, pitches),
+            batted: flight(batted, hits)
+        });
+        this.ball.setX(x);
+        this.ball.setY(y);
+
+        this.setRoles();
+    }
+
+    // plain copy of everything needed to show or check the game
+    getState() {
+        const sprite = ({ x, y, width, height }) => ({ x, y, width, height });
+
+        return {
+            ...this.state,
+            seed: this.seed,
+            time: this.time,
+            events: this.events,
+            rules: this.rules.getState(),
+            player1: { ...sprite(this.player1), score: this.player1.score, pitch: this.player1.pitch },
+            player2: { ...sprite(this.player2), score: this.player2.score, pitch: this.player2.pitch },
+            ball: {
+                ...sprite(this.ball),
+                dx: this.ball.dx,
+                dy: this.ball.dy,
+                speed: this.ball.speed,
+                launched: this.ball.launched
+            }
+        };
+    }
+}
+
+export { defaultScreen, layers, cleanInput };
+export default Engine;
\ No newline at end of file
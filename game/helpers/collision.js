@@ -0,0 +1,179 @@
+/**
+ * game/helpers/collision.js
+ *
+ * What it Does:
+ *   This file finds where a moving ball first touches something along the path
+ *   it moved in a step, not just where it ended up, so a fast ball can't skip
+ *   through a thin player or wall between two steps
+ *
+ *   sweepCircleRect(from, to, radius, rect): a circle moving from one center to another,
+ *   against a rectangle { x, y, width, height }
+ *
+ *   sweepCircleCircle(from, to, radius, circle): a circle moving from one center to another,
+ *   against a circle { cx, cy, radius }
+ *
+ *   both return the first contact, or null if there isn't one:
+ *   time: 0 to 1, how far along the path the circle touches
+ *   position: the circle's center when it touches { x, y }
+ *   point: where the two touch { x, y }
+ *   normal: the way the surface faces where they touch, a unit vector { x, y }
+ *
+ *   a circle only touches something it's moving into, so one that starts
+ *   against a surface can move away from it
+ *
+ *   reflect(vector, normal, restitution): a vector bounced off a surface with that normal.
+ *   restitution is how much of the vector into the surface it keeps, 1 (the default)
+ *   bounces all the way back and 0 doesn't bounce
+ *
+ * How to Use it:
+ *   let contact = sweepCircleRect({ x: 0, y: 0 }, { x: 100, y: 0 }, 5, { x: 50, y: -20, width: 10, height: 40 });
+ *   contact.time; // 0.45
+ *   contact.normal; // { x: -1, y: 0 }
+ *
+ */
+
+const dot = (a, b) => a.x * b.x + a.y * b.y;
+
+// the contact found time along the path from `from` by `path`
+const contactAt = (from, path, time, normal, radius) => {
+    let position = { x: from.x + path.x * time, y: from.y + path.y * time };
+
+    return {
+        time: time,
+        position: position,
+        point: { x: position.x - normal.x * radius, y: position.y - normal.y * radius },
+        normal: normal
+    };
+}
+
+// first time (0 to 1) a point moving along path comes within radius of center
+const sweepPointCircle = (from, path, center, radius) => {
+    let offset = { x: from.x - center.x, y: from.y - center.y };
+
+    let a = dot(path, path);
+    let b = 2 * dot(offset, path);
+    let c = dot(offset, offset) - radius * radius;
+
+    // already inside
+    if (c <= 0) { return 0; }
+
+    let discriminant = b * b - 4 * a * c;
+    if (a === 0 || discriminant < 0) { return null; }
+
+    let time = (-b - Math.sqrt(discriminant)) / (2 * a);
+    return time >= 0 && time <= 1 ? time : null;
+}
+
+const sweepCircleCircle = (from, to, radius, { cx, cy, radius: otherRadius }) => {
+    let path = { x: to.x - from.x, y: to.y - from.y };
+    let time = sweepPointCircle(from, path, { x: cx, y: cy }, radius + otherRadius);
+    if (time === null) { return null; }
+
+    let position = { x: from.x + path.x * time, y: from.y + path.y * time };
+    let distance = Math.hypot(position.x - cx, position.y - cy);
+
+    // centers on top of each other, push back the way it came
+    let normal = distance
+        ? { x: (position.x - cx) / distance, y: (position.y - cy) / distance }
+        : { x: -Math.sign(path.x), y: -Math.sign(path.y) };
+
+    if (dot(normal, path) >= 0 && (path.x || path.y)) { return null; }
+
+    return contactAt(from, path, time, normal, radius);
+}
+
+// the rectangle grown by radius on every side has rounded corners,
+// so the path is checked against its flat sides, then against a corner circle
+const sweepCircleRect = (from, to, radius, { x, y, width, height }) => {
+    let path = { x: to.x - from.x, y: to.y - from.y };
+
+    let left = x - radius;
+    let right = x + width + radius;
+    let top = y - radius;
+    let bottom = y + height + radius;
+
+    // when the path enters and leaves the grown rectangle, for each axis
+    let enter = 0;
+    let leave = 1;
+    let normal = null;
+
+    let slabs = [
+        { start: from.x, move: path.x, min: left, max: right, axis: 'x' },
+        { start: from.y, move: path.y, min: top, max: bottom, axis: 'y' }
+    ];
+
+    for (let { start, move, min, max, axis } of slabs) {
+        if (move === 0) {
+            if (start <= min || start >= max) { return null; }
+            continue;
+        }
+
+        let near = ((move > 0 ? min : max) - start) / move;
+        let far = ((move > 0 ? max : min) - start) / move;
+
+        if (near > enter) {
+            enter = near;
+            normal = axis === 'x' ? { x: -Math.sign(move), y: 0 } : { x: 0, y: -Math.sign(move) };
+        }
+        leave = Math.min(leave, far);
+
+        if (enter > leave) { return null; }
+    }
+
+    // starts inside the grown rectangle, push out the nearest side
+    if (!normal) {
+        let closest = {
+            x: Math.max(x, Math.min(from.x, x + width)),
+            y: Math.max(y, Math.min(from.y, y + height))
+        };
+        let distance = Math.hypot(from.x - closest.x, from.y - closest.y);
+
+        if (distance >= radius) {
+            // in a rounded corner's gap, not touching yet
+            return sweepCorner(from, path, radius, closest);
+        }
+
+        if (distance) {
+            normal = { x: (from.x - closest.x) / distance, y: (from.y - closest.y) / distance };
+        } else {
+            let sides = [
+                { gap: from.x - x, normal: { x: -1, y: 0 } },
+                { gap: x + width - from.x, normal: { x: 1, y: 0 } },
+                { gap: from.y - y, normal: { x: 0, y: -1 } },
+                { gap: y + height - from.y, normal: { x: 0, y: 1 } }
+            ];
+            normal = sides.reduce((nearest, side) => side.gap < nearest.gap ? side : nearest).normal;
+        }
+
+        if (dot(normal, path) > 0) { return null; }
+        return contactAt(from, path, 0, normal, radius);
+    }
+
+    // where the path meets the grown rectangle, off the end of a side is a corner
+    let position = { x: from.x + path.x * enter, y: from.y + path.y * enter };
+    let onSide = normal.x
+        ? position.y >= y && position.y <= y + height
+        : position.x >= x && position.x <= x + width;
+
+    if (onSide) { return contactAt(from, path, enter, normal, radius); }
+
+    let corner = {
+        x: position.x < x ? x : x + width,
+        y: position.y < y ? y : y + height
+    };
+    return sweepCorner(from, path, radius, corner);
+}
+
+// a corner of a rectangle is a circle with no radius
+const sweepCorner = (from, path, radius, corner) => {
+    let to = { x: from.x + path.x, y: from.y + path.y };
+    return sweepCircleCircle(from, to, radius, { cx: corner.x, cy: corner.y, radius: 0 });
+}
+
+const reflect = (vector, normal, restitution = 1) => {
+    let along = (1 + restitution) * dot(vector, normal);
+
+    return { x: vector.x - along * normal.x, y: vector.y - along * normal.y };
+}
+
+export { sweepCircleRect, sweepCircleCircle, reflect };
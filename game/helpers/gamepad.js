@@ -0,0 +1,74 @@
+/**
+ * game/helpers/gamepad.js
+ *
+ * What it Does:
+ *   This file reads game controllers with the Gamepad API
+ *   the browser doesn't send events for sticks and buttons,
+ *   so call readGamepads once a frame and compare with the last read
+ *
+ *   readGamepads(): a list of connected controllers, in the order the browser numbers them,
+ *   each read into { index, id, dy, buttons: { launch, pitchUp, pitchDown, pause } }
+ *   button names are actions from game/controls.js
+ *
+ *   dy: -1 to 1 from the left stick, or the d-pad
+ *
+ *   buttons use the standard layout
+ *   https://w3c.github.io/gamepad/#remapping
+ *
+ * What to Change:
+ *   Change which buttons do what in the buttons list,
+ *   or the dead zone if sticks drift
+ *
+ */
+
+// standard layout button numbers for each action
+const buttons = {
+    launch: [0, 7], // A, right trigger. swing on press, pitch on release
+    pitchDown: [2, 4, 14], // X, left bumper, d-pad left
+    pitchUp: [1, 5, 15], // B, right bumper, d-pad right
+    pause: [9] // start
+};
+
+const dpad = { up: 12, down: 13 };
+
+// stick movement smaller than this is ignored
+const deadZone = 0.2;
+
+// stick value with the dead zone taken out, still -1 to 1
+const readStick = (value = 0) => {
+    if (Math.abs(value) < deadZone) { return 0; }
+
+    return Math.sign(value) * (Math.abs(value) - deadZone) / (1 - deadZone);
+}
+
+const isPressed = (pad, index) => {
+    let button = pad.buttons[index];
+    return !!button && (button.pressed || button.value > 0.5);
+}
+
+const readGamepad = (pad) => {
+    let dy = readStick(pad.axes[1]);
+    if (isPressed(pad, dpad.up)) { dy = -1; }
+    if (isPressed(pad, dpad.down)) { dy = 1; }
+
+    return {
+        index: pad.index,
+        id: pad.id,
+        dy: dy,
+        buttons: Object.keys(buttons).reduce((read, action) => ({
+            ...read,
+            [action]: buttons[action].some(index => isPressed(pad, index))
+        }), {})
+    };
+}
+
+const readGamepads = () => {
+    if (typeof navigator === 'undefined' || !navigator.getGamepads) { return []; }
+
+    return [...navigator.getGamepads()]
+    .filter(pad => pad && pad.connected)
+    .sort((a, b) => a.index - b.index)
+    .map(readGamepad);
+}
+
+export { readGamepads, readStick, buttons };
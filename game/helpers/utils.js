@@ -8,6 +8,10 @@
  *   in milliseconds has gone by. useful for stopping unwanted side effects of button mashing.
  *   https://gph.is/1syA0yc
  * 
+ *   seededRandom: makes a random number function like Math.random
+ *   that gives the same numbers every time for the same seed.
+ *   use it for anything random in game play, so a match can be played again exactly
+ * 
  * 
  * What to Change:
  *   Add any new methods that don't fit anywhere else
@@ -51,4 +55,32 @@ const hashCode = (str, base = 16) => {
     .reduce(h => h); // fold
 }
 
-export { throttled, boundBy, hashCode };
\ No newline at end of file
+// seed for a seeded random number function
+// takes a number, or any string (eg. from the url)
+const seedFrom = (value) => {
+    let number = Number(value);
+    if (String(value).trim() !== '' && Number.isInteger(number)) {
+        return number >>> 0;
+    }
+
+    return parseInt(hashCode(String(value), 10)) >>> 0;
+}
+
+// a new seed, when none is given
+const randomSeed = () => Math.floor(Math.random() * 0x100000000);
+
+// seeded random numbers from 0 up to 1 (mulberry32)
+// eg. const random = seededRandom(42); random(); // same number for every 42
+const seededRandom = (seed) => {
+    let state = seedFrom(seed);
+
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+}
+
+export { throttled, boundBy, hashCode, seedFrom, randomSeed, seededRandom };
\ No newline at end of file
@@ -0,0 +1,223 @@
+/**
+ * game/input.js
+ *
+ * What it Does:
+ *   This file turns keyboard, mouse, touch, and gamepad input into actions for each player,
+ *   so game play reads what a player wants to do, not which device they did it on
+ *
+ *   actions are listed in game/controls.js (up, down, pitchDown, pitchUp, launch, pause, mute)
+ *   each action has a state:
+ *   down: held right now
+ *   pressed: went down since the last step
+ *   released: came up since the last step
+ *
+ *   each player also has:
+ *   axis('move'): -1 to 1, from keys or a stick
+ *   target: a screen y to move toward, from the mouse or a finger (or null)
+ *   active: false while the computer plays for them
+ *   device: the last device they used
+ *
+ *   key(code, down): a key went down or up, mapped to a player by the controls
+ *   point(player, device, y): the mouse or a finger moved
+ *   tap(player): a click or tap, pressed and released launch
+ *
+ *   touchStart(id, player, y), touchMove(id, y), touchEnd(id): a finger, by its touch identifier.
+ *   each finger plays for the player whose side of the screen it went down on,
+ *   moving it moves their mitt, and lifting it without moving is a tap
+ *
+ *   pollGamepads(): reads controllers, call once a frame
+ *   connectGamepads(): call when a controller is plugged in or out
+ *   endStep(): call after each step, so pressed and released only last one step
+ *
+ *   onAction(player, action, down): called right away for each press and release,
+ *   for things that can't wait for a step, like pausing
+ *
+ * How to Use it:
+ *   const inputs = new InputManager({ controls });
+ *   inputs.key('Space', true);
+ *   inputs.player('player1').pressed('launch'); // true
+ *   inputs.endStep();
+ *
+ */
+
+import { actions, players } from './controls.js';
+import { readGamepads } from './helpers/gamepad.js';
+
+// a finger that moves less than this many pixels is a tap
+const TAP_SLOP = 10;
+
+class PlayerInput {
+    constructor(name, active) {
+        this.name = name;
+        this.active = active;
+        this.device = 'keyboard';
+        this.target = null;
+        this.stick = 0; // gamepad stick
+
+        this.actions = actions.reduce((states, action) => ({
+            ...states,
+            [action]: { down: false, pressed: false, released: false }
+        }), {});
+    }
+
+    // returns true if the action changed
+    set(action, down) {
+        let state = this.actions[action];
+        if (!state || state.down === down) { return false; }
+
+        state.down = down;
+        if (down) { state.pressed = true; } else { state.released = true; }
+
+        return true;
+    }
+
+    down(action) { return this.actions[action].down; }
+
+    pressed(action) { return this.actions[action].pressed; }
+
+    released(action) { return this.actions[action].released; }
+
+    axis(name) {
+        if (name !== 'move') { return 0; }
+
+        let keys = (this.down('down') ? 1 : 0) - (this.down('up') ? 1 : 0);
+        return keys || this.stick;
+    }
+
+    endStep() {
+        Object.values(this.actions).forEach(state => {
+            state.pressed = false;
+            state.released = false;
+        });
+    }
+}
+
+class InputManager {
+    constructor({ controls }) {
+        this.controls = controls;
+
+        // player 1 is a human, player 2 is the computer until someone plays for them
+        this.players = players.reduce((all, name, i) => ({ ...all, [name]: new PlayerInput(name, i === 0) }), {});
+        this.pads = {}; // last read of each player's gamepad
+        this.touches = {}; // fingers on the screen, by touch identifier
+
+        this.onAction = () => {};
+    }
+
+    player(name) {
+        return this.players[name];
+    }
+
+    // press or release an action, and pass it on
+    set(player, action, down, device) {
+        let input = this.players[player];
+        input.device = device;
+
+        // moving makes a player a human
+        if (down && ['up', 'down'].includes(action)) { input.active = true; }
+
+        if (input.set(action, down)) { this.onAction(player, action, down); }
+    }
+
+    key(code, down) {
+        let bound = this.controls.actionFor(code);
+        if (!bound) { return; }
+
+        this.set(bound.player, bound.action, down, 'keyboard');
+    }
+
+    point(player, device, y) {
+        let input = this.players[player];
+
+        input.device = device;
+        input.target = y;
+    }
+
+    tap(player) {
+        let input = this.players[player];
+
+        // a tap is over before the next step, so press and release together
+        input.set('launch', true);
+        input.set('launch', false);
+
+        this.onAction(player, 'launch', true);
+        this.onAction(player, 'launch', false);
+    }
+
+    touchStart(id, player, y) {
+        this.touches[id] = { player: player, startY: y, moved: false };
+
+        // touching their side of the screen makes a player a human
+        let input = this.players[player];
+        input.active = true;
+        input.device = 'touch';
+    }
+
+    touchMove(id, y) {
+        let touch = this.touches[id];
+        if (!touch) { return; }
+
+        if (Math.abs(y - touch.startY) > TAP_SLOP) { touch.moved = true; }
+
+        this.point(touch.player, 'touch', y);
+    }
+
+    // cancelled: the browser took the touch, so it isn't a tap
+    touchEnd(id, cancelled = false) {
+        let touch = this.touches[id];
+        if (!touch) { return; }
+
+        delete this.touches[id];
+        if (!touch.moved && !cancelled) { this.tap(touch.player); }
+    }
+
+    // the first controller plays for player 1, the second for player 2
+    pollGamepads() {
+        let pads = readGamepads();
+
+        players.forEach((player, i) => {
+            let pad = pads[i];
+            let input = this.players[player];
+            let last = this.pads[player];
+
+            this.pads[player] = pad || null;
+            if (!pad) {
+                input.stick = 0;
+                return;
+            }
+
+            input.stick = pad.dy;
+            if (pad.dy !== 0) { input.device = 'gamepad'; }
+
+            Object.keys(pad.buttons).forEach(action => {
+                let down = pad.buttons[action];
+                let wasDown = !!last && last.buttons[action];
+                if (down !== wasDown) { this.set(player, action, down, 'gamepad'); }
+            });
+        });
+    }
+
+    // a second controller makes player 2 a human, and unplugging it
+    // hands player 2 back to the computer
+    connectGamepads() {
+        let pads = readGamepads();
+        let input = this.players.player2;
+
+        if (pads.length > 1) {
+            input.active = true;
+            input.device = 'gamepad';
+        }
+
+        if (pads.length < 2 && input.device === 'gamepad') {
+            input.active = false;
+            input.device = 'keyboard';
+        }
+    }
+
+    endStep() {
+        Object.values(this.players).forEach(input => input.endStep());
+    }
+}
+
+export { PlayerInput };
+export default InputManager;
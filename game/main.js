@@ -3,21 +3,52 @@
  * 
  * What it Does:
  *   This file is the main game class
+ *   it runs the game engine (game/engine.js) in the browser:
+ *   drawing to the canvas, reading input, playing sounds, and updating the overlay
  *   Important parts are the load, create, and play functions
  *   
  *   Load: is where images, sounds, and fonts are loaded
  *   
- *   Create: is where game elements and characters are created
+ *   Create: is where the game engine, which creates the characters, is made
  *   
  *   Play: is where game characters are updated according to game play
  *   before drawing a new frame to the screen, and calling play again
  *   this creates an animation just like the pages of a flip book
+ *
+ *   Update: moves the game forward by one fixed step of time.
+ *   play runs as many steps as the time since the last frame calls for,
+ *   so the game plays the same at any frame rate
+ *
+ *   States: the flow of the game is a state machine (see game/states.js and createStates)
+ *   loading, title, then a match: serving, live (ball in play), point (the ball is dead),
+ *   and innings (side retired), until it's over. paused and controls (the controls screen)
+ *   hold the match, and replay watches one. the overlay changes as states are entered and left
+ *
+ *   Pause menu: resume, restart, quit to title, difficulty, win score, volume, and controls.
+ *   online the match doesn't stop, and the menu is just resume, leave the match, volume, and controls.
+ *   move with up and down (keys, stick, or d-pad), change a setting with the pitch buttons,
+ *   and pick with launch or enter, or tap and click it. settings change the match being played
+ *
+ *   Audio: music and sound effects play through game/audio.js, with title and match music
+ *   crossfading as states change, and a sound for each thing that happens (see playSound)
+ *
+ *   Draw: draws the game characters, in between their last two steps
+ *
+ *   Online: plays a match against someone else through the game server (server/index.mjs)
+ *   see game/network.js. host a room from the start screen, or open the game with ?room=ABCD
+ *
+ *   Stats: catches, misses, records, and high scores are kept between visits (see game/stats.js)
+ *   and shown after each match
+ *
+ *   Replay: every match is recorded (see game/replay.js) and can be watched again,
+ *   paused, scrubbed, sped up or slowed down, and saved to or opened from a file
  * 
  *   Other parts include boilerplate for requesting and canceling new frames
  *   handling input events, pausing, muting, etc.
  * 
  * What to Change:
- *   Most things to change will be in the play function
+ *   Most changes to game rules will be in game/engine.js
+ *   Changes to how the game looks and sounds will be in the update and draw functions
  */
 
 import Koji from 'koji-tools';
@@ -35,16 +66,64 @@ import {
 } from 'game-asset-loader';
 
 import audioContext from 'audio-context';
-import audioPlayback from 'audio-play';
 import unlockAudioContext from 'unlock-audio-context';
 
 import preventParent from 'prevent-parent';
 
-import { boundBy, hashCode } from './helpers/utils.js';
-
+import { hashCode, seedFrom, randomSeed } from './helpers/utils.js';
+
+import Engine, { layers } from './engine.js';
+import Replay, { Recorder } from './replay.js';
+import NetworkClient from './network.js';
+import levels, { levelFor } from './ai/levels.js';
+import Controls, { players } from './controls.js';
+import Stats from './stats.js';
+import Effects from './effects.js';
+import AudioManager, { channels } from './audio.js';
+import StateMachine from './states.js';
+import InputManager from './input.js';
+import pitches from './characters/pitches.js';
 import Image from './objects/image.js';
-import Player from './characters/player.js';
-import Ball from './characters/ball.js';
+
+// length of one simulation step in milliseconds
+// the game always updates in steps of this size, no matter the frame rate
+const STEP = 1000 / 60;
+
+// most simulation steps to run before drawing a frame
+// keeps a long stall (eg. a backgrounded tab) from freezing the game while it catches up
+const MAX_STEPS = 5;
+
+// show the stats screen this long after the win banner
+const STATS_DELAY = 2000;
+
+// a catch this many times faster than the ballSpeed setting is a hard catch
+const HARD_CATCH = 1.15;
+
+// states of a match being played, see createStates
+const PLAYING = ['serving', 'live', 'point', 'innings'];
+
+// choices for the pause menu, see menuItems
+// a win score of 0 plays every inning
+const WIN_SCORES = [0, 3, 5, 7, 10, 15];
+const VOLUME_STEP = 0.1;
+
+// a volume as a slider, eg. ▮▮▮▮▮▮▮▯▯▯ for 0.7
+const volumeBar = (volume) => {
+    let filled = Math.round(volume / VOLUME_STEP);
+    return '▮'.repeat(filled) + '▯'.repeat(Math.round(1 / VOLUME_STEP) - filled);
+}
+
+// match state each engine event leads to, see followMatch
+const matchStates = {
+    reset: 'serving',
+    launch: 'live',
+    catch: 'point',
+    miss: 'point',
+    'dead-ball': 'point',
+    'side-retired': 'innings',
+    win: 'over',
+    tie: 'over'
+};
 
 class Game {
 
@@ -54,48 +133,86 @@ class Game {
         this.overlay = overlay;
 
         this.prefix = hashCode(this.config.settings.name); // set prefix for local-storage keys
+        this.stats = new Stats(this.prefix);
+
+        // a seed in the url (eg. ?seed=1234) or settings plays every match from that seed
+        // otherwise each match gets a new one
+        this.seed = new URLSearchParams(window.location.search).get('seed') || this.config.settings.seed;
 
         this.canvas = canvas; // game screen
         this.ctx = canvas.getContext("2d"); // game screen context
 
+        // particles, flashes, and shakes, with less motion for anyone who asks for it
+        let lessMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+        this.effects = new Effects({
+            ctx: this.ctx,
+            reducedMotion: this.config.settings.reducedMotion || lessMotion
+        });
+
         this.audioCtx = audioContext(); // create new audio context
         unlockAudioContext(this.audioCtx);
-        this.playlist = [];
+
+        this.recorder = null; // records the match being played
+        this.replay = null; // replay being watched
+        this.statsPlace = -1; // high score made in the last match
+        this.statsTimer = null;
+        this.network = null; // online match
 
 	// prevent parent wondow form scrolling
 	preventParent();
 
         // frame count, rate, and time
-        // this is just a place to keep track of frame rate (not set it)
+        // rate is the time between frames, it is added to the accumulator
+        // and spent in fixed size steps by play()
         this.frame = {
             count: 0,
             time: Date.now(),
             rate: null,
-            scale: null
+            step: STEP,
+            accumulator: 0,
+            alpha: 0
         };
 
         // game settings
         this.state = {
-            current: 'loading',
-            prev: null,
-            paused: false,
-            muted: localStorage.getItem(this.prefix.concat('muted')) === 'true'
+            muted: localStorage.getItem(this.prefix.concat('muted')) === 'true',
+            // computer level picked on the start screen, or the one in settings
+            difficulty: levelFor(localStorage.getItem(this.prefix.concat('difficulty')) || this.config.settings.difficulty)
         };
 
-        this.input = {
-            active: true,
-            current: 'keyboard',
-            keyboard: { up: false, right: false, left: false, down: false },
-            mouse: { x: 0, y: 0, click: false },
-            touch: { x: 0, y: 0 },
-        };
+        // music and sound effects, with the volumes picked in the pause menu
+        // see game/audio.js
+        this.audio = new AudioManager({
+            context: this.audioCtx,
+            volumes: this.loadVolumes(),
+            muted: this.state.muted
+        });
 
-        this.input2 = {
-            active: false,
-            current: 'keyboard',
-            keyboard: { up: false, right: false, left: false, down: false }
-        }
+        // win score picked in the pause menu, or the one in settings
+        let winScore = localStorage.getItem(this.prefix.concat('winScore'));
+        if (winScore !== null) { this.config.settings.winScore = parseInt(winScore) || 0; }
+
+        // where the game is, and where to go back to
+        this.states = this.createStates();
+        this.resumeTo = null; // match state to resume after a pause
+        this.controlsFrom = null; // state the controls screen was opened from
+        this.replayFrom = null; // state a replay was opened from
+        this.controlsPaused = false; // if opening the controls screen paused the match
+
+        // pause menu
+        this.menuFocus = 0; // item picked
+        this.menuAxis = {}; // last up or down for each player, so holding moves once
+        this.menuPressed = false; // launch went down in the menu, so its release picks
+
+        // keys for each action, saved when they are changed
+        this.controls = new Controls(this.config.settings.controls, this.loadControls());
+        this.rebinding = null; // { player, action } waiting for a new key
 
+        this.touchScreen = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
+
+        // every device turned into actions for each player
+        this.inputs = new InputManager({ controls: this.controls });
+        this.inputs.onAction = (player, action, down) => this.handleAction(player, action, down);
 
         this.images = {}; // place to keep images
         this.sounds = {}; // place to keep sounds
@@ -109,12 +226,25 @@ class Game {
         // setup event listeners for mouse movement
         document.addEventListener('mousemove', ({ clientY }) => this.handleMouseMove(clientY));
 
-        // setup event listeners for mouse movement
-        document.addEventListener('touchmove', ({ touches }) => this.handleTouchMove(touches[0]));
+        // setup event listeners for touches
+        // every finger is followed, so two players can share a touch screen
+        document.addEventListener('touchstart', (event) => this.handleTouch('start', event), { passive: false });
+        document.addEventListener('touchmove', (event) => this.handleTouch('move', event));
+        document.addEventListener('touchend', (event) => this.handleTouch('end', event), { passive: false });
+        document.addEventListener('touchcancel', (event) => this.handleTouch('cancel', event));
 
         // handle overlay clicks
         this.overlay.root.addEventListener('click', ({ target }) => this.handleClicks(target));
 
+        // handle replay controls
+        this.overlay.root.addEventListener('input', ({ target }) => this.handleReplayInput(target));
+        this.overlay.replayFile.addEventListener('change', ({ target }) => this.openReplayFile(target.files[0]));
+
+        // handle game controllers being plugged in and out
+        // the first controller plays for player 1, the second for player 2
+        window.addEventListener('gamepadconnected', () => this.inputs.connectGamepads());
+        window.addEventListener('gamepaddisconnected', () => this.inputs.connectGamepads());
+
         // handle resize events
         window.addEventListener('resize', () => this.handleResize());
         window.addEventListener("orientationchange", (e) => this.handleResize(e));
@@ -136,27 +266,11 @@ class Game {
         this.topbar.style.display = this.topbar.active ? 'block' : 'none';
         this.topbar.style.backgroundColor = this.config.colors.primaryColor;
 
-        this.canvas.width = window.innerWidth; // set game screen width
-        this.canvas.height = this.topbar.active ? window.innerHeight - this.topbar.clientHeight : window.innerHeight; // set game screen height
-
-        this.screen = {
-            top: 0,
-            bottom: this.canvas.height,
-            left: 0,
-            right: this.canvas.width,
-            centerX: this.canvas.width / 2,
-            centerY: this.canvas.height / 2,
-            scale: ((this.canvas.width + this.canvas.height) / 2) * 0.003
-        };
-
-
+        this.setScreen();
 
         // set loading indicator to textColor
         document.querySelector('#loading').style.color = this.config.colors.textColor;
 
-        // set winscore
-        this.setState({ winScore: parseInt(this.config.settings.winScore) });
-
         // set overlay styles
         this.overlay.setStyles({...this.config.colors, ...this.config.settings});
         
@@ -164,9 +278,16 @@ class Game {
         const gameAssets = [
             loadImage('backgroundImage', this.config.images.backgroundImage),
             loadImage('ballImage', this.config.images.ballImage),
+            ...['mittImage', 'batImage', 'pitcherImage']
+            .filter(key => this.config.images[key]) // player art is optional
+            .map(key => loadImage(key, this.config.images[key])),
             loadSound('bounceSound', this.config.sounds.bounceSound),
             loadSound('scoreSound', this.config.sounds.scoreSound),
             loadSound('backgroundMusic', this.config.sounds.backgroundMusic),
+            ...['titleMusic', 'catchSound', 'missSound', 'crowdSound',
+                'umpireStrikeSound', 'umpireBallSound', 'umpireFoulSound', 'umpireOutSound']
+            .filter(key => this.config.sounds[key]) // the rest of the sounds are optional
+            .map(key => loadSound(key, this.config.sounds[key])),
             loadFont('gameFont', this.config.settings.fontFamily)
         ];
 
@@ -178,6 +299,7 @@ class Game {
 
             this.images = assets.image;
             this.sounds = assets.sound;
+            this.audio.addSounds(this.sounds);
 
         })
         .then(() => this.create())
@@ -185,60 +307,17 @@ class Game {
     }
 
     create() {
-        // create game characters
+        // create the game engine and its characters
 
-        const { scale, centerY, right } = this.screen;
-        const { playerHeight, playerWidth } = this.config.settings
-
-        let pHeight = playerHeight * scale;
-        let pWidth = playerWidth * scale;
-
-        this.player1 = new Player({
-            name: 'player1',
+        this.engine = new Engine({
+            settings: this.config.settings,
+            screen: this.screen,
+            colors: this.config.colors,
             ctx: this.ctx,
-            color: this.config.colors.rightPaddleColor,
-            x: right - pWidth,
-            y: centerY - pHeight / 2,
-            width: pWidth,
-            height: pHeight,
-            speed: 50,
-            bounds: this.screen
-        })
-
-        this.player2 = new Player({
-            name: 'player2',
-            ctx: this.ctx,
-            color: this.config.colors.leftPaddleColor,
-            x: 0,
-            y: centerY - pHeight / 2,
-            width: pWidth,
-            height: pHeight,
-            speed: 50,
-            bounds: this.screen
+            images: this.images,
+            seed: this.matchSeed()
         });
-
-        // ball
-        let ballSpeed = parseInt(this.config.settings.ballSpeed);
-        let ballSize = parseInt(this.config.settings.ballSize);
-
-        let ballWidth =  ballSize * scale;
-        let ballHeight = ballSize * scale;
-
-        this.ball = new Ball({
-            ctx: this.ctx,
-            image: this.images.ballImage,
-            x: this.screen.right + ballWidth,
-            y: this.player1.y,
-            width: ballWidth,
-            height: ballHeight,
-            speed: ballSpeed,
-            bounds: {
-                top: 0,
-                right: this.screen.right + ballWidth,
-                left: this.screen.left - ballWidth,
-                bottom: this.screen.bottom
-            }
-        })
+        this.engine.setDifficulty(this.state.difficulty);
 
         // background
         this.background = new Image({
@@ -250,240 +329,616 @@ class Game {
             height: this.screen.bottom
         });
 
-        // set game state ready
-        this.setState({ current: 'ready' });
+        // title screen
+        this.states.go('title');
         this.play();
     }
 
     play() {
-        // update game characters
+        // controllers don't send events, so read them every frame
+        this.inputs.pollGamepads();
 
-        // clear the screen of the last picture
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        // run the simulation in fixed steps for the time that has passed
+        // since the last frame, then draw the result
+        let steps = 0;
+        while (this.frame.accumulator >= this.frame.step && steps < MAX_STEPS) {
+            this.update();
 
-        // draw and do stuff that you need to do
-        // no matter the game state
-        if (this.background) {
-            this.background.draw();
+            this.frame.accumulator -= this.frame.step;
+            steps += 1;
         }
 
-        // update scores
-        this.overlay.setScore1(`${this.player1.score}/${this.state.winScore}`);
-        this.overlay.setScore2(`${this.player2.score}/${this.state.winScore}`);
+        // drop any time left over after the step cap
+        if (this.frame.accumulator >= this.frame.step) {
+            this.frame.accumulator = 0;
+        }
 
-        // ready to play
-        if (this.state.current === 'ready' && this.state.prev === 'loading') {
-            this.overlay.hideLoading();
-            this.canvas.style.opacity = 1;
+        // how far we are between the last step and the next one
+        this.frame.alpha = this.frame.accumulator / this.frame.step;
 
-            this.overlay.setBanner(this.config.settings.name);
-            this.overlay.setButton(this.config.settings.startText);
-            this.overlay.showStats();
+        this.draw(this.frame.alpha);
 
-            this.overlay.setMute(this.state.muted);
-            this.overlay.setPause(this.state.paused);
+        // draw the next screen
+        this.requestFrame(() => this.play());
+    }
 
-            this.overlay.setInstructions({
-                desktop: this.config.settings.instructionsDesktop,
-                mobile: this.config.settings.instructionsMobile
-            });
+    update() {
+        // update the game by one fixed step
+        // the game rules are in game/engine.js, this handles the screen, overlay and sounds
+        // what happens in a step depends on the state of the game, see createStates
+        this.states.update(this.frame.step);
 
-            this.setState({ current: 'ready' });
-        }
+        // presses and releases only count for one step,
+        // but they wait out a hit-stop
+        if (!this.effects.holding()) { this.inputs.endStep(); }
+    }
 
-        // game play
-        if (this.state.current === 'play') {
-            // hide overlays if coming from ready
-            if (this.state.prev === 'ready') {
-                this.overlay.hideBanner();
-                this.overlay.hideButton();
-                this.overlay.hideInstructions();
-            }
+    // the flow of the game, see game/states.js
+    createStates() {
+        const match = {
+            enter: (from) => this.enterMatch(from),
+            update: (dt) => this.updateMatch(dt)
+        };
 
-            // check for winner
-            if (this.player1.score === this.state.winScore) {
-                this.setState({ current: 'win-player1'})
+        return new StateMachine({
+            initial: 'loading',
+            transitions: {
+                loading: ['title'],
+                title: ['title', 'serving', 'controls', 'replay'],
+                serving: ['live', 'point', 'innings', 'over', 'paused', 'controls', 'replay', 'title'],
+                live: ['serving', 'point', 'innings', 'over', 'paused', 'controls', 'replay', 'title'],
+                point: ['serving', 'innings', 'over', 'paused', 'controls', 'replay', 'title'],
+                innings: ['serving', 'over', 'paused', 'controls', 'replay', 'title'],
+                paused: [...PLAYING, 'controls', 'replay', 'title'],
+                over: ['serving', 'controls', 'replay', 'title'],
+                controls: ['title', ...PLAYING, 'paused', 'over', 'replay'],
+                replay: ['title', ...PLAYING, 'paused', 'over', 'controls', 'replay']
+            },
+            states: {
+                loading: {
+                    exit: () => this.finishLoading()
+                },
+                title: {
+                    enter: (from) => this.enterTitle(from),
+                    exit: () => this.hideTitle()
+                },
+                serving: match,
+                live: match,
+                point: match,
+                innings: match,
+                paused: {
+                    enter: (from) => this.enterPause(from),
+                    exit: (to) => this.exitPause(to),
+                    update: () => this.updatePause()
+                },
+                over: {
+                    enter: () => this.enterGameOver(),
+                    exit: () => this.exitGameOver(),
+                    update: (dt) => this.effects.update(dt)
+                },
+                controls: {
+                    enter: (from) => this.enterControls(from),
+                    exit: () => this.exitControls()
+                },
+                replay: {
+                    enter: (from) => this.enterReplay(from),
+                    exit: () => this.exitReplay(),
+                    update: (dt) => this.updateReplay(dt)
+                }
             }
+        });
+    }
 
-            if (this.player2.score === this.state.winScore) {
-                this.setState({ current: 'win-player2'})
-            }
+    // loaded, show the overlay
+    finishLoading() {
+        this.overlay.hideLoading();
+        this.canvas.style.opacity = 1;
 
+        this.overlay.showStats();
 
-            if (!this.state.muted && !this.state.backgroundMusic) {
-                let sound = this.sounds.backgroundMusic;
-                this.state.backgroundMusic = audioPlayback(sound, {
-                    start: 0,
-                    end: sound.duration,
-                    loop: true,
-                    context: this.audioCtx
-                });
-            }
+        this.overlay.setMute(this.state.muted);
+        this.overlay.setPause(false);
+        this.overlay.showReplayButton();
+        this.overlay.showControlsButton();
+    }
 
-            // player 1
-            if (this.input.current === 'keyboard') {
-                let dy1 = (this.input.keyboard.up ? -1 : 0) + (this.input.keyboard.down ? 1 : 0);
-                this.player1.move(0, dy1, this.frame.scale);
-            }
+    enterTitle(from) {
+        this.showTitle();
+        this.audio.playMusic('titleMusic');
 
-            if (this.input.current === 'mouse') {
-                let y = this.input.mouse.y - this.canvas.offsetTop;
-                let diffY =  y - this.player1.y - this.player1.height / 2;
-                this.player1.move(0, diffY / 100, 1);
-            }
-            
-            if (this.input.current === 'touch') {
-                let y = this.input.touch.y - this.canvas.offsetTop;
-                let diffY =  y - this.player1.y - this.player1.height / 2;
-                this.player1.move(0, diffY / 100, 1);
-            }
+        // join a room from a link
+        let room = new URLSearchParams(window.location.search).get('room');
+        if (from === 'loading' && room) { this.playOnline(room); }
+    }
 
-            this.player1.draw();
-
-            // player 2: computer
-            if (!this.input2.active && this.ball.launched && this.ball.dx < 0) {
-               
-                // move computer player toward the ball
-                // get diffY and calculate dy
-                let diffY = this.ball.y / 2 - this.player2.y;
-                let dy2 = diffY / (this.ball.x * 2); 
-
-                // apply a difficulty/speed limit
-                let difficulty = parseInt(this.config.settings);
-                let speedLimit = difficulty / 2;
-                let dy2capped = boundBy(dy2, speedLimit, -speedLimit);
-                this.player2.move(0, dy2capped, this.frame.scale);
-            }
+    enterMatch(from) {
+        this.updateHud();
+        this.audio.playMusic('backgroundMusic');
 
-            // player 2: human
-            if (this.input2.active) {
-                // move player 2
-                let dy2 = (this.input2.keyboard.up ? -1 : 0) + (this.input2.keyboard.down ? 1 : 0);
-                this.player2.move(0, dy2, this.frame.scale);
-            }
+        // show each player their half of a touch screen for a moment
+        if (from === 'title' && this.touchScreen) {
+            this.overlay.showZones();
+            setTimeout(() => this.overlay.hideZones(), 3000);
+        }
+    }
 
-            this.player2.draw();
+    updateMatch(dt) {
+        this.effects.update(dt, this.shownEngine().ball, parseInt(this.config.settings.ballSpeed));
 
-            // ball
-            // bounce ball off of ceiling or floor
-            let onEdgeY = this.ball.y === this.screen.top || this.ball.y === this.screen.bottom - this.ball.height;
-            if (onEdgeY) { this.ball.dy = -this.ball.dy; }
+        // a hit-stop holds the game still for a moment
+        if (this.effects.holding()) { return; }
 
-            // bounce ball off player1
-            let collided = this.ball.collisionsWith([this.player1, this.player2]);
-            if (collided && collided.name === 'player1') {
-                // play bounce sound
-                this.playback('bounceSound', this.sounds.bounceSound);
+        let events = this.network ? this.stepOnline() : this.stepLocal();
 
-                // add some velocity
-                // change ball direction
-                // add some speed
-                this.ball.dx = -1;
-                this.ball.speed += 1;
-            }
+        events.forEach(event => this.handleEngineEvent(event));
+        this.recordStats(events);
+        this.followMatch(events);
 
-            // bounce ball off player2
-            if (collided && collided.name === 'player2') {
-                // play bounce sound
-                this.playback('bounceSound', this.sounds.bounceSound);
-
-                // change ball direction
-                // add some speed to ball
-                this.ball.dx = 1;
-                this.ball.speed += 10;
-                this.ball.stop();
-                setTimeout(() => {
-                   // this.ball.setY(-100);
-                   this.reset();
-                   /*this.playback('scoreSound', this.sounds.scoreSound);
-                   this.player1.score += 1;
-                   this.ball.speed = parseInt(this.config.settings.ballSpeed);
-                   */
-                }, 1000);
-            }
+        if (events.length) { this.updateHud(); }
+    }
+
+    // step the game here
+    stepLocal() {
+        let inputs = {
+            player1: this.getEngineInput('player1'),
+            player2: this.getEngineInput('player2')
+        };
+
+        if (this.recorder) { this.recorder.record(inputs); }
 
-            // if ball touches left side, player1 scores
-            if (this.ball.launched && this.ball.x <= this.ball.bounds.left) {
-                // play score sound
-                this.playback('scoreSound', this.sounds.scoreSound);
+        return this.engine.step(inputs, this.frame.step).events;
+    }
 
-                // give player1 one point
-                this.player2.score += 1;
+    // send our input to the server, which steps the game
+    // whichever seat we have online, we play with player 1's controls
+    stepOnline() {
+        const { engine } = this.network;
 
-                // reset ball speed
-                this.ball.speed = parseInt(this.config.settings.ballSpeed);
+        return this.network.step(this.getEngineInput('player1', engine.screen), this.frame.step);
+    }
 
-                if (this.input2.active) {
-                    // wait for player2 human to relaunch
+    // move between match states as things happen in the engine.
+    // a state that can't follow the current one is passed over,
+    // eg. the catch that ends an inning stays between innings
+    followMatch(events) {
+        events.forEach(event => {
+            let to = matchStates[event.type];
+            if (event.type === 'contact' && event.hit === 'foul') { to = 'point'; }
 
-                    this.ball.stop();
-                } else {
-                    // player2 computer to relaunch after 3 seconds
+            if (to) { this.states.go(to); }
+        });
+    }
 
-                    this.ball.setY(this.player2.y);
-                    this.ball.launch(3000, 1, this.player2.width);
-                }
-                setTimeout(() => {
-                   this.reset();
-                }, 1000);
-            }
+    // scores, inning, count, and selected pitches
+    updateHud() {
+        const { player1, player2, rules } = this.shownEngine();
+
+        this.overlay.setScore1(`${player1.score}`);
+        this.overlay.setScore2(`${player2.score}`);
+        this.overlay.setCount(rules.getState());
 
-            // if ball touches right side, player2 scores
-            if (this.ball.launched && 
-                this.ball.x + this.ball.width >= this.ball.bounds.right) {
-                // play score sound
-                this.playback('scoreSound', this.sounds.scoreSound);
+        this.overlay.setPitch1(pitches[player1.pitch].name);
+        this.overlay.setPitch2(pitches[player2.pitch].name);
+    }
+
+    // only a match being played pauses
+    enterPause(from) {
+        if (PLAYING.includes(from)) { this.resumeTo = from; }
+
+        // hold all game sounds where they are
+        this.audio.suspend();
+
+        this.overlay.setPause(true);
+        this.overlay.setBanner(this.network ? 'The match keeps going online' : 'Paused');
+        this.overlay.setSeed(this.engine.seed);
+
+        // a key or stick held when pausing doesn't move or pick
+        this.menuPressed = false;
+        players.forEach(player => { this.menuAxis[player] = this.menuDirection(player); });
+        this.menuFocus = Math.min(this.menuFocus, this.menuItems().length - 1);
+        this.showMenu();
+    }
 
-                // give player2 one point
-                this.player2.score += 1;
+    exitPause(to) {
+        this.overlay.hideMenu();
 
-                // reset ball speed
-                this.ball.speed = parseInt(this.config.settings.ballSpeed);
+        // the controls screen opens over the pause
+        if (to === 'controls') { return; }
 
-                this.ball.stop();
+        // without anything pressed while paused
+        this.inputs.endStep();
+
+        this.audio.resume();
+
+        this.overlay.setPause(false);
+        this.overlay.hideBanner();
+        this.overlay.hideSeed();
+    }
+
+    // up and down move through the menu, once for each push
+    updatePause() {
+        players.forEach(player => {
+            let direction = this.menuDirection(player);
+
+            if (direction && direction !== this.menuAxis[player]) { this.moveMenu(direction); }
+            this.menuAxis[player] = direction;
+        });
+    }
+
+    // -1 for up, 1 for down, from keys, a stick or a d-pad
+    menuDirection(player) {
+        let dy = this.inputs.player(player).axis('move');
+        return Math.abs(dy) > 0.5 ? Math.sign(dy) : 0;
+    }
+
+    menuItems() {
+        let winScore = parseInt(this.config.settings.winScore) || 0;
+        let volume = [
+            { id: 'master', name: 'Volume', value: volumeBar(this.audio.volumes.master) },
+            { id: 'music', name: 'Music', value: volumeBar(this.audio.volumes.music) },
+            { id: 'effects', name: 'Effects', value: volumeBar(this.audio.volumes.effects) }
+        ];
+
+        // the server runs an online match, so only leaving it changes anything
+        if (this.network) {
+            return [
+                { id: 'resume', name: 'Resume' },
+                { id: 'quit', name: 'Leave match' },
+                ...volume,
+                { id: 'controls', name: 'Controls' }
+            ];
+        }
+
+        return [
+            { id: 'resume', name: 'Resume' },
+            { id: 'restart', name: 'Restart' },
+            { id: 'quit', name: 'Quit to title' },
+            { id: 'difficulty', name: 'Difficulty', value: levels[this.state.difficulty].name },
+            { id: 'winScore', name: 'Win score', value: winScore ? `${winScore} runs` : 'Off' },
+            ...volume,
+            { id: 'controls', name: 'Controls' }
+        ];
+    }
+
+    showMenu() {
+        this.overlay.setMenu(this.menuItems(), this.menuFocus);
+    }
+
+    moveMenu(step) {
+        let count = this.menuItems().length;
+
+        this.menuFocus = (this.menuFocus + step + count) % count;
+        this.showMenu();
+    }
+
+    // pick an item, settings go to their next choice
+    selectMenu(id = this.menuItems()[this.menuFocus].id) {
+        if (id === 'resume') { this.pause(); }
+        else if (id === 'restart') { this.reset(); }
+        else if (id === 'quit') { this.quit(); }
+        else if (id === 'controls') { this.openControls(); }
+        else { this.changeMenu(id, 1); }
+    }
+
+    // step a setting to its next (1) or last (-1) choice
+    changeMenu(id, step) {
+        const next = (list, current) => {
+            let i = Math.max(0, list.indexOf(current));
+            return list[(i + step + list.length) % list.length];
+        }
+
+        if (id === 'difficulty') {
+            this.setDifficulty(next(Object.keys(levels), this.state.difficulty));
+        }
+
+        if (id === 'winScore') {
+            this.setWinScore(next(WIN_SCORES, parseInt(this.config.settings.winScore) || 0));
+        }
+
+        if (channels.includes(id)) {
+            this.setVolume(id, this.audio.volumes[id] + step * VOLUME_STEP);
+        }
+
+        this.showMenu();
+    }
+
+    // win or tie banner, and the seed so the match can be reported
+    enterGameOver() {
+        const { settings } = this.config;
+        let engine = this.shownEngine();
+
+        let text = {
+            'win-player1': settings.player1WinText,
+            'win-player2': settings.player2WinText,
+            tie: settings.tieText
+        }[engine.state.current];
+
+        this.overlay.setBanner(text);
+        this.overlay.setSeed(engine.seed);
+    }
+
+    exitGameOver() {
+        this.hideStatsScreen();
+        this.overlay.hideBanner();
+        this.overlay.hideSeed();
+    }
+
+    enterControls(from) {
+        this.controlsFrom = from;
+        this.overlay.setControls(this.controls, null);
+    }
+
+    exitControls() {
+        this.rebinding = null;
+        this.overlay.hideControls();
+    }
+
+    enterReplay(from) {
+        if (from !== 'replay' && from !== 'controls') { this.replayFrom = from; }
+
+        this.overlay.hideBanner();
+        this.overlay.hideSeed();
+        this.overlay.setReplay(this.replay);
+    }
+
+    exitReplay() {
+        this.overlay.hideReplay();
+        this.overlay.hideBanner();
+    }
+
+    updateReplay(dt) {
+        this.effects.update(dt, this.replay.engine.ball, parseInt(this.config.settings.ballSpeed));
+
+        // a recording that breaks part way through stops, without stopping the game with it
+        let events;
+        try {
+            events = this.replay.advance(dt);
+        } catch (err) {
+            console.error(err);
+            this.closeReplay();
+            this.overlay.setBanner('Could not play that replay');
+            return;
+        }
+
+        events.forEach(event => this.handleEngineEvent(event));
+        this.overlay.setReplay(this.replay);
+        this.updateHud();
+    }
+
+    // count what happened toward the player's stats
+    // replays are handled on their own, so they don't count twice
+    recordStats(events) {
+        // online, the stats are for our seat. at home, they are for player 1,
+        // and only count toward the record when the computer plays player 2
+        let player = this.network ? this.network.seat.player : 'player1';
+        let computer = !this.network && !this.inputs.player('player2').active;
+        let difficulty = computer ? this.state.difficulty : null;
+
+        events.forEach(event => {
+            let place = this.stats.record(event, { player, difficulty });
+
+            if (event.type === 'win' || event.type === 'tie') {
+                this.statsPlace = place;
+                this.statsTimer = setTimeout(() => this.showStatsScreen(), STATS_DELAY);
             }
+        });
+    }
+
+    showStatsScreen() {
+        this.overlay.setStatsScreen(this.stats.data, levels, this.statsPlace);
+    }
+
+    hideStatsScreen() {
+        clearTimeout(this.statsTimer);
+        this.overlay.hideStatsScreen();
+    }
+
+    // put a name on the high score just made
+    renameHighScore() {
+        let name = window.prompt('Your name', this.stats.data.name);
+        if (!name) { return; }
+
+        this.stats.rename(this.statsPlace, name);
+        this.showStatsScreen();
+    }
+
+    // title, start button, and instructions
+    showTitle() {
+        this.overlay.setBanner(this.config.settings.name);
+        this.overlay.setButton(this.config.settings.startText);
+        this.overlay.setDifficulty(levels, this.state.difficulty);
+        if (this.config.settings.serverUrl) { this.overlay.setOnline(); }
+
+        this.overlay.setInstructions({
+            desktop: this.config.settings.instructionsDesktop,
+            mobile: this.config.settings.instructionsMobile
+        });
+    }
+
+    hideTitle() {
+        this.overlay.hideBanner();
+        this.overlay.hideButton();
+        this.overlay.hideDifficulty();
+        this.overlay.hideOnline();
+        this.overlay.hideInstructions();
+    }
+
+    draw(alpha) {
+        // draw game characters
+        // alpha is how far between simulation steps we are (0 to 1)
+
+        // clear the screen of the last picture
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
 
-            this.ball.move(this.frame.scale);
-            this.ball.draw();
+        // draw and do stuff that you need to do
+        // no matter the game state
+        if (this.background) {
+            this.background.draw();
         }
 
-        // player wins
-        if (this.state.current === 'win-player1') {
-            this.overlay.setBanner(this.config.settings.player1WinText);
+        // the controls screen shows the game behind it
+        let showing = this.states.is('controls') ? this.controlsFrom : this.states.current;
+
+        if (PLAYING.includes(showing)) {
+            this.drawEngine(this.shownEngine(), alpha);
         }
 
-        if (this.state.current === 'win-player2') {
-            this.overlay.setBanner(this.config.settings.player2WinText);
+        // held still where the last step left it
+        if (showing === 'paused') {
+            this.drawEngine(this.shownEngine(), 1);
         }
 
-        // draw the next screen
-        this.requestFrame(() => this.play());
+        if (showing === 'replay') {
+            this.drawEngine(this.replay.engine, this.replay.accumulator / this.replay.log.step);
+        }
+
+        this.effects.drawFlash(this.canvas.width, this.canvas.height);
+    }
+
+    // a replay or an online match plays on another screen size,
+    // so stretch it to fit this one
+    drawEngine(engine, alpha) {
+        const { screen } = engine;
+
+        let shake = this.effects.offset();
+
+        this.ctx.save();
+        this.ctx.translate(shake.x, shake.y);
+        this.ctx.scale(this.screen.right / screen.right, this.screen.bottom / screen.bottom);
+
+        this.drawStrikeZone(engine);
+
+        engine.world.draw(alpha, layers.players);
+        this.effects.draw();
+        engine.world.draw(alpha, layers.balls);
+
+        this.ctx.restore();
+    }
+
+    // outline the strike zone at the plate while a pitch is on its way
+    drawStrikeZone(engine) {
+        const { zone } = engine.umpire;
+        if (!zone) { return; }
+
+        let width = engine.ball.width * zone.facing;
+
+        this.ctx.save();
+        this.ctx.globalAlpha = 0.5;
+        this.ctx.strokeStyle = this.config.colors.textColor;
+        this.ctx.lineWidth = 2;
+        this.ctx.strokeRect(zone.x, zone.top, width, zone.height);
+        this.ctx.restore();
+    }
+
+    // turn a player's actions into input for the engine
+    // see game/input.js
+    // screen: the engine's screen, if it isn't the same size as this one
+    getEngineInput(player, screen = this.screen) {
+        const input = this.inputs.player(player);
+
+        let engineInput = {
+            active: input.active,
+            launch: input.released('launch'),
+            swing: input.pressed('launch'),
+            pitch: (input.pressed('pitchUp') ? 1 : 0) - (input.pressed('pitchDown') ? 1 : 0),
+            dy: input.axis('move')
+        };
+
+        // follow the mouse or finger
+        let pointing = input.device === 'mouse' || input.device === 'touch';
+        if (pointing && input.target !== null) {
+            engineInput.y = (input.target - this.canvas.offsetTop) * screen.bottom / this.screen.bottom;
+        }
+
+        return engineInput;
+    }
+
+    // play sounds and such for things that happened in the engine
+    handleEngineEvent(event) {
+        this.playSound(event);
+        this.showEffect(event);
+
+        // umpire calls show on the banner until the next pitch
+        if (event.type === 'umpire') {
+            this.overlay.setBanner(event.text);
+        }
+
+        // show the seed at the end, so the match can be reported
+        if (event.type === 'win' || event.type === 'tie') {
+            this.overlay.setSeed(this.shownEngine().seed);
+        }
+
+        if (event.type === 'reset') {
+            this.overlay.hideBanner();
+        }
     }
 
-    relaunchBall(side) {
-        // ignore if ball is launched
-        if (this.ball.launched) { return; }
+    // see game/audio.js for each sound's volume and pitch
+    playSound(event) {
+        const { type } = event;
+
+        // harder catches are louder
+        if (type === 'catch') {
+            let speed = event.speed / parseInt(this.config.settings.ballSpeed);
+            this.audio.play('catchSound', { volume: Math.min(1, 0.5 + 0.5 * speed) });
+        }
 
-        // reset ball speed
-        this.ball.speed = parseInt(this.config.settings.ballSpeed);
+        if (type === 'contact') { this.audio.play('bounceSound'); }
+        if (type === 'miss') { this.audio.play('missSound'); }
 
-        // launch from right
-        if (side === 'right') {
-            this.ball.setY(this.player1.y);
-            this.ball.launch(null, -1, this.player1.width);
+        // the crowd cheers a run, and the music gets out of the way
+        if (type === 'run') {
+            this.audio.play('scoreSound');
+            this.audio.play('crowdSound');
+            this.audio.duck();
         }
 
-        // launch from left
-        if (side === 'left') {
-            this.ball.setY(this.player2.y);
-            this.ball.launch(null, 1, this.player2.width);
+        if (type === 'win' || type === 'tie') { this.audio.play('crowdSound'); }
+
+        if (type === 'umpire') {
+            let sound = { strike: 'umpireStrikeSound', ball: 'umpireBallSound', foul: 'umpireFoulSound' }[event.call];
+            if (sound) { this.audio.play(sound); }
         }
 
+        if (type === 'out') { this.audio.play('umpireOutSound'); }
+    }
+
+    // dust where the ball is caught, a puff off the bat, and a flash for a run.
+    // a hard catch shakes the screen and holds the game for a moment
+    showEffect(event) {
+        const { ball, screen } = this.shownEngine();
+        let size = screen.scale;
+
+        if (event.type === 'catch') {
+            let hard = event.speed > parseInt(this.config.settings.ballSpeed) * HARD_CATCH;
+
+            this.effects.burst(ball.cx, ball.cy, {
+                count: hard ? 18 : 10,
+                speed: 60 * size,
+                size: 4 * size,
+                gravity: 120 * size,
+                color: '#c8b08a'
+            });
+
+            // online, the server doesn't wait for us
+            if (hard) {
+                this.effects.shake(4 * size, 200);
+                if (!this.network) { this.effects.hitStop(80); }
+            }
+        }
+
+        if (event.type === 'contact') {
+            this.effects.burst(ball.cx, ball.cy, { count: 6, speed: 90 * size, size: 2 * size, gravity: 0 });
+        }
+
+        if (event.type === 'run') {
+            this.effects.flash(this.config.colors.primaryColor);
+        }
     }
 
     // event listeners
     handleClicks(target) {
-        if (this.state.current === 'loading') { return; }
+        if (this.states.is('loading')) { return; }
 
         // mute
         if (target.id === 'mute') {
@@ -497,145 +952,482 @@ class Game {
             return;
         }
 
+        // watch the last match, or open one from a file if there isn't one
+        if (target.id === 'replayButton') {
+            if (this.recorder) {
+                this.openReplay(this.recorder.toJSON());
+            } else {
+                this.overlay.replayFile.click();
+            }
+            return;
+        }
+
+        // controls screen
+        if (target.id === 'controlsButton') {
+            this.openControls();
+            return;
+        }
+
+        if (this.states.is('controls')) {
+            this.handleControlsClicks(target);
+            return;
+        }
+
+        // pause menu
+        if (target.dataset.menu) {
+            this.handleMenuClicks(target);
+            return;
+        }
+
+        // stats screen
+        if (target.id === 'statsDone') {
+            this.hideStatsScreen();
+            return;
+        }
+
+        if (target.id === 'statsName') {
+            this.renameHighScore();
+            return;
+        }
+
+        // replay controls
+        if (this.states.is('replay')) {
+            this.handleReplayClicks(target);
+            return;
+        }
+
+        // online
+        if (target.id === 'onlineHost') {
+            this.playOnline();
+            return;
+        }
+
+        if (target.id === 'onlineJoin') {
+            let code = window.prompt('Room code');
+            if (code) { this.playOnline(code.trim().toUpperCase()); }
+            return;
+        }
+
+        // difficulty level
+        if (target.dataset.level) {
+            this.setDifficulty(target.dataset.level);
+            return;
+        }
+
         // button
-        if ( target.id === 'button') {
-            this.setState({ current: 'play' });
+        if (target.id === 'button' && this.states.is('title')) {
+            this.startMatch();
             return;
         }
 
-        // relaunch ball
-        let onSide = this.ball.launched === false && this.ball.x > this.screen.centerX;
-        if (this.state.current === 'play' && onSide) {
-            this.relaunchBall('right');
+        // relaunch ball or swing at a pitch, or start a new match
+        if (this.playing() || this.gameOver()) {
+            this.inputs.tap('player1');
+        }
+    }
+
+    handleReplayClicks(target) {
+        if (target.id === 'replayPlay') {
+            this.replay.paused = !this.replay.paused;
+        }
+
+        if (target.id === 'replayExport') {
+            this.exportReplay(this.replay.log);
+        }
+
+        if (target.id === 'replayImport') {
+            this.overlay.replayFile.click();
         }
 
-        if (this.state.current.includes('win')) {
-            document.location.reload();
+        if (target.id === 'replayClose') {
+            this.closeReplay();
         }
     }
 
-    handleKeyboardInput(type, code) {
-        this.input.current = 'keyboard';
+    // the arrows beside a setting step it, anything else picks the item
+    handleMenuClicks(target) {
+        const { menu, change } = target.dataset;
 
-        // player 1
-        if (type === 'keydown') {
-            if (code === 'ArrowUp') {
-                this.input.keyboard.up = true
-            }
-            if (code === 'ArrowDown') {
-                this.input.keyboard.down = true
-            }
+        this.menuFocus = this.menuItems().findIndex(item => item.id === menu);
+
+        if (change) {
+            this.changeMenu(menu, parseInt(change));
+        } else {
+            this.selectMenu(menu);
         }
+    }
 
-        if (type === 'keyup') {
-            if (code === 'ArrowUp') {
-                this.input.keyboard.up = false
-            }
-            if (code === 'ArrowDown') {
-                this.input.keyboard.down = false
-            }
+    handleControlsClicks(target) {
+        // pick an action to give a new key
+        if (target.dataset.action) {
+            this.rebinding = { player: target.dataset.player, action: target.dataset.action };
+            this.overlay.setControls(this.controls, this.rebinding);
+        }
 
-            // relaunch player 1
-            if (code === 'Space') {
-                let rightSide = this.ball.launched === false && this.ball.x > this.screen.centerX;
-                if (this.state.current === 'play' && rightSide) {
-                    this.relaunchBall('right')
-                }
-            }
+        if (target.id === 'controlsReset') {
+            this.rebinding = null;
+            this.controls.reset();
+            this.saveControls();
         }
 
+        if (target.id === 'controlsDone') {
+            this.closeControls();
+        }
+    }
 
+    // scrub and speed controls
+    handleReplayInput(target) {
+        if (!this.replay) { return; }
 
-        // player 2
-        if (type === 'keydown') {
-            if (code === 'KeyW') {
-                this.input2.keyboard.up = true;
-            }
-            if (code === 'KeyS') {
-                this.input2.keyboard.down = true;
-            }
+        if (target.id === 'replayScrub') {
+            this.replay.seek(target.value);
+            this.overlay.hideBanner();
+        }
 
-            // relaunch player 2
-            if (code === 'ShiftLeft') {
-                let rightSide = this.ball.launched === false && this.ball.x > this.screen.centerX;
-                if (this.state.current === 'play' && !rightSide) {
-                    this.relaunchBall('left')
-                }
-            }
+        if (target.id === 'replaySpeed') {
+            this.replay.setSpeed(target.value);
         }
+    }
 
-        if (type === 'keyup') {
-            if (code === 'KeyW') {
-                this.input2.keyboard.up = false;
-            }
-            if (code === 'KeyS') {
-                this.input2.keyboard.down = false;
-            }
+    handleKeyboardInput(type, code) {
+        // a key for the controls screen
+        if (this.rebinding) {
+            if (type === 'keydown') { this.rebind(code); }
+            return;
+        }
 
+        // keys don't play while the controls screen is open
+        if (this.states.is('controls')) { return; }
+
+        // escape and enter work the pause menu, whatever keys are picked for the actions
+        if (type === 'keydown' && code === 'Escape') {
+            this.pause();
+            return;
         }
 
-        // game state
+        if (type === 'keydown' && code === 'Enter' && this.states.is('paused')) {
+            this.selectMenu();
+            return;
+        }
+
+        this.inputs.key(code, type === 'keydown');
+    }
 
-        // switch to 2 player if W or S are pressed
-        if (type === 'keydown' && ['KeyW', 'KeyS'].includes(code) && !this.input2.active) {
-            this.input2.active = true;
+    // actions that can't wait for the next step, from any device
+    // see game/input.js
+    handleAction(player, action, down) {
+        // pause, or start and restart a match
+        if (action === 'pause' && down) {
+            if (this.states.is('title')) { this.startMatch(); }
+            else if (this.gameOver()) { this.reset(); }
+            else { this.pause(); }
         }
 
-        // pause and play game if P is pressed
-        if (type === 'keydown' && code === 'KeyP') { this.pause(); }
+        if (action === 'mute' && down) { this.mute(); }
+
+        if (this.states.is('paused')) {
+            this.handleMenuAction(action, down);
+            return;
+        }
 
-        // reload game after win and Spacebar pressed
-        if (type === 'keyup' && code === 'Space' && this.state.current.includes('win')) {
-            document.location.reload();
+        // start a new match after a win
+        if (action === 'launch' && !down && this.gameOver()) {
+            this.reset();
+        }
+    }
+
+    // the pitch buttons change a setting, and letting go of launch picks
+    handleMenuAction(action, down) {
+        let { id } = this.menuItems()[this.menuFocus];
+
+        if (action === 'pitchDown' && down) { this.changeMenu(id, -1); }
+        if (action === 'pitchUp' && down) { this.changeMenu(id, 1); }
+
+        if (action === 'launch' && down) { this.menuPressed = true; }
+        if (action === 'launch' && !down && this.menuPressed) {
+            this.menuPressed = false;
+            this.selectMenu(id);
         }
     }
 
     handleMouseMove(y) {
-        this.input.current = 'mouse';
-        this.input.mouse.y = y;
+        this.inputs.point('player1', 'mouse', y);
     }
 
-    handleTouchMove(touch) {
-        let { clientY } = touch;
+    // the right half of the screen is player 1, the left half is player 2
+    handleTouch(type, event) {
+        // the pause menu is tapped like buttons
+        if (this.states.is('loading', 'paused')) { return; }
+
+        // touches on overlay buttons are clicks
+        let onButton = event.target.closest && event.target.closest('i, #button, #difficulty, #menu, #replay, #controls, #stats, #online');
+        if (onButton) { return; }
 
-        this.input.current = 'touch';
-        this.input.touch.y = clientY;
+        [...event.changedTouches].forEach(({ identifier, clientX, clientY }) => {
+            if (type === 'start') {
+                let left = clientX - this.canvas.offsetLeft < this.screen.centerX;
+                this.inputs.touchStart(identifier, left ? 'player2' : 'player1', clientY);
+            }
+
+            if (type === 'move') { this.inputs.touchMove(identifier, clientY); }
+            if (type === 'end') { this.inputs.touchEnd(identifier); }
+            if (type === 'cancel') { this.inputs.touchEnd(identifier, true); }
+        });
+
+        // taps are handled here, so don't let them click too
+        if (type === 'end') { event.preventDefault(); }
     }
 
     handleResize() {
+        this.setScreen();
+
+        // still loading, create will use the new screen
+        if (!this.engine) { return; }
+
+        // fit the game to the new screen and keep playing
+        this.engine.layout(this.screen);
+        if (this.recorder) { this.recorder.layout(this.screen); }
+
+        this.background.width = this.screen.right;
+        this.background.height = this.screen.bottom;
 
-        document.location.reload();
+        // redraw now in case the game loop is paused
+        this.draw(this.frame.alpha);
     }
 
     // game helpers
+    // the engine on the screen, the replay's while watching one
+    shownEngine() {
+        if (this.replay) { return this.replay.engine; }
+        if (this.network) { return this.network.engine; }
+
+        return this.engine;
+    }
+
+    // record the match that is starting
+    startRecording() {
+        this.recorder = new Recorder({
+            seed: this.engine.seed,
+            settings: this.config.settings,
+            colors: this.config.colors,
+            difficulty: this.state.difficulty,
+            screen: this.screen,
+            step: this.frame.step
+        });
+    }
+
+    // method:playOnline host a room, or join one with its code
+    playOnline(code) {
+        if (this.network || !this.config.settings.serverUrl) { return; }
+
+        let seat;
+        try {
+            seat = JSON.parse(localStorage.getItem(this.prefix.concat('online')));
+        } catch (err) {
+            seat = null;
+        }
+
+        this.network = new NetworkClient({
+            url: this.config.settings.serverUrl,
+            settings: this.config.settings,
+            colors: this.config.colors,
+            ctx: this.ctx,
+            images: this.images,
+            seat: seat
+        });
+        this.network.onMessage = (message) => this.handleNetworkMessage(message);
+
+        if (code) {
+            this.network.join(code);
+        } else {
+            this.network.host();
+        }
+
+        this.overlay.hideButton();
+        this.overlay.hideDifficulty();
+        this.overlay.hideOnline();
+        this.overlay.hideInstructions();
+        this.overlay.setBanner('Connecting...');
+    }
+
+    handleNetworkMessage(message) {
+        const { type } = message;
+
+        // keep our seat, to join again after a reload
+        if (type === 'joined') {
+            localStorage.setItem(this.prefix.concat('online'), JSON.stringify(this.network.seat));
+        }
+
+        if (type === 'waiting') {
+            this.overlay.setBanner(`Room ${this.network.seat.code}: waiting for someone to join`);
+        }
+
+        if (type === 'start') {
+            this.states.go('serving');
+            this.overlay.hideBanner();
+        }
+
+        if (type === 'paused') {
+            this.overlay.setBanner('Waiting for the other player to come back...');
+        }
+
+        if (type === 'resumed') {
+            this.overlay.hideBanner();
+        }
+
+        if (type === 'disconnected') {
+            this.overlay.setBanner('Connection lost, joining again...');
+        }
+
+        // back to the start screen
+        if (type === 'error') {
+            this.network = null;
+            this.states.go('title');
+            this.overlay.setBanner(message.message);
+        }
+    }
+
+    // leave an online match for good, so a reload doesn't join it again
+    leaveOnline() {
+        if (!this.network) { return; }
+
+        this.network.onMessage = () => {};
+        this.network.close();
+        this.network = null;
+        localStorage.removeItem(this.prefix.concat('online'));
+    }
+
+    // method:openReplay watch a recorded match
+    // the match being played waits until the replay is closed
+    openReplay(log) {
+        if (this.states.is('controls') || !this.states.can('replay')) { return; }
+
+        let replay;
+        try {
+            replay = new Replay(log, { ctx: this.ctx, images: this.images });
+        } catch (err) {
+            console.error(err);
+            this.overlay.setBanner('Could not open that replay');
+            return;
+        }
+
+        this.replay = replay;
+        this.states.go('replay');
+    }
+
+    openReplayFile(file) {
+        if (!file) { return; }
+
+        file.text()
+        .then(text => this.openReplay(text))
+        .catch(err => console.error(err));
+
+        // let the same file be picked again
+        this.overlay.replayFile.value = '';
+    }
+
+    // method:closeReplay go back to where the game was
+    closeReplay() {
+        this.replay = null;
+        this.states.go(this.replayFrom);
+    }
+
+    // save a replay as a json file
+    exportReplay(log) {
+        let blob = new Blob([JSON.stringify(log)], { type: 'application/json' });
+        let link = document.createElement('a');
+
+        link.href = URL.createObjectURL(blob);
+        link.download = `match-${log.seed}.json`;
+        link.click();
+
+        URL.revokeObjectURL(link.href);
+    }
+
     // method:pause pause game
     pause() {
-        if (this.state.current != 'play') { return; }
+        if (this.playing()) {
+            this.states.go('paused');
+        } else if (this.states.is('paused')) {
+            this.states.go(this.resumeTo);
+        }
+    }
 
-        this.state.paused = !this.state.paused;
-        this.overlay.setPause(this.state.paused);
+    // method:setDifficulty pick how well the computer plays
+    setDifficulty(level) {
+        this.state.difficulty = levelFor(level);
+        localStorage.setItem(this.prefix.concat('difficulty'), this.state.difficulty);
 
-        if (this.state.paused) {
-            // pause game loop
-            this.cancelFrame(this.frame.count - 1);
+        this.engine.setDifficulty(this.state.difficulty);
+        if (this.recorder) { this.recorder.change({ difficulty: this.state.difficulty }); }
 
-            // mute all game sounds
-            this.audioCtx.suspend();
+        if (this.states.is('title')) { this.overlay.setDifficulty(levels, this.state.difficulty); }
+    }
 
-            this.overlay.setBanner('Paused');
-        } else {
-            // resume game loop
-            this.requestFrame(() => this.play(), true);
+    // method:setWinScore runs that win the game right away, 0 to play every inning
+    setWinScore(score) {
+        this.config.settings.winScore = score;
+        localStorage.setItem(this.prefix.concat('winScore'), score);
 
-            // resume game sounds if game not muted
-            if (!this.state.muted) {
-                this.audioCtx.resume();
-            }
+        this.engine.setWinScore(score);
+        if (this.recorder) { this.recorder.change({ winScore: score }); }
+    }
 
-            this.overlay.hide('banner');
+    // method:setVolume 0 to 1, for the master, music, or effects channel
+    setVolume(channel, volume) {
+        this.audio.setVolume(channel, volume);
+        localStorage.setItem(this.prefix.concat('volumes'), JSON.stringify(this.audio.volumes));
+    }
+
+    loadVolumes() {
+        try {
+            return JSON.parse(localStorage.getItem(this.prefix.concat('volumes'))) || {};
+        } catch (err) {
+            return {};
+        }
+    }
+
+    // method:openControls show the controls screen
+    // a match being played is paused until it's closed
+    openControls() {
+        if (this.states.is('loading', 'controls')) { return; }
+
+        this.controlsPaused = this.playing() && !this.network;
+        if (this.controlsPaused) { this.states.go('paused'); }
+
+        this.states.go('controls');
+    }
+
+    closeControls() {
+        this.states.go(this.controlsFrom);
+
+        if (this.controlsPaused) { this.states.go(this.resumeTo); }
+    }
+
+    // give the action waiting for a key the key that was pressed
+    // escape leaves the key as it was
+    rebind(code) {
+        if (code !== 'Escape') {
+            this.controls.bind(this.rebinding.player, this.rebinding.action, code);
+        }
+
+        this.rebinding = null;
+        this.saveControls();
+    }
+
+    loadControls() {
+        try {
+            return JSON.parse(localStorage.getItem(this.prefix.concat('controls'))) || {};
+        } catch (err) {
+            return {};
         }
     }
 
+    saveControls() {
+        localStorage.setItem(this.prefix.concat('controls'), JSON.stringify(this.controls));
+        this.overlay.setControls(this.controls, this.rebinding);
+    }
+
     // method:mute mute game
     mute() {
         let key = this.prefix.concat('muted');
@@ -647,73 +1439,90 @@ class Game {
 
         this.overlay.setMute(this.state.muted);
 
-        if (this.state.muted) {
-            // mute all game sounds
-            this.audioCtx.suspend();
-        } else {
-            // unmute all game sounds
-            if (!this.state.paused) {
-                this.audioCtx.resume();
-            }
+        // sounds keep playing, silently
+        this.audio.setMuted(this.state.muted);
+    }
+
+    // reset game
+    // starts a new match, keeping loaded images and sounds,
+    // and the mute and pause settings
+    reset() {
+        this.hideStatsScreen();
+        this.effects.clear();
+
+        // online, the server starts the new match
+        if (this.network) {
+            this.network.rematch();
+            return;
         }
+
+        this.startMatch();
     }
 
-    playback(key, audioBuffer, options = {}) {
-        if (this.state.muted) { return; }
-        let id = Math.random().toString(16).slice(2);
-        this.playlist.push({
-            id: id,
-            key: key,
-            playback: audioPlayback(audioBuffer, {
-                ...{
-                    start: 0,
-                    end: audioBuffer.duration,
-                    context: this.audioCtx
-                },
-                ...options
-            }, () => {
-                // remove played sound from playlist
-                this.playlist = this.playlist
-                    .filter(s => s.id != id);
-            })
-        });
+    // the first match starts from the title screen, the rest start fresh
+    startMatch() {
+        if (this.engine.state.current === 'ready') {
+            this.engine.start();
+        } else {
+            this.engine.resetMatch(this.matchSeed());
+        }
+
+        this.startRecording();
+        this.states.go('serving');
     }
 
-    stopPlayback(key) {
-        this.playlist = this.playlist
-        .filter(s => {
-            let targetBuffer = s.key === key;
-            if (targetBuffer) {
-                s.playback.pause();
-            }
-            return targetBuffer;
-        })
+    // method:quit leave the match for the title screen
+    quit() {
+        this.leaveOnline();
+        this.hideStatsScreen();
+        this.effects.clear();
+        this.states.go('title');
     }
 
-    // reset game
-    reset() {
-        document.location.reload();
+    // seed for a new match
+    matchSeed() {
+        return this.seed ? seedFrom(this.seed) : randomSeed();
     }
 
-    // update game state
-    setState(state) {
-        this.state = {
-            ...this.state,
-            ...{ prev: this.state.current },
-            ...state,
+    // size the canvas to the window and measure the game screen
+    setScreen() {
+        this.canvas.width = window.innerWidth; // set game screen width
+        this.canvas.height = this.topbar.active ? window.innerHeight - this.topbar.clientHeight : window.innerHeight; // set game screen height
+
+        this.screen = {
+            top: 0,
+            bottom: this.canvas.height,
+            left: 0,
+            right: this.canvas.width,
+            centerX: this.canvas.width / 2,
+            centerY: this.canvas.height / 2,
+            scale: ((this.canvas.width + this.canvas.height) / 2) * 0.003
         };
     }
 
+    // if the game has been won or tied
+    gameOver() {
+        return this.states.is('over');
+    }
+
+    // if a match is being played, and isn't paused
+    playing() {
+        return this.states.is(...PLAYING);
+    }
+
     // request new frame
     // wraps requestAnimationFrame.
+    // the time since the last frame is added to the accumulator
     // see game/helpers/animationframe.js for more information
     requestFrame(next, resumed) {
         let now = Date.now();
+        let rate = resumed ? 0 : now - this.frame.time;
         this.frame = {
+            ...this.frame,
             count: requestAnimationFrame(next),
             time: now,
-            rate: resumed ? 0 : now - this.frame.time,
-            scale: this.screen.scale * this.frame.rate * 0.01
+            rate: rate,
+            accumulator: this.frame.accumulator + rate
         };
     }
 
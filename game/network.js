@@ -0,0 +1,181 @@
+/**
+ * game/network.js
+ *
+ * What it Does:
+ *   This file plays an online match against the game server (server/index.mjs)
+ *
+ *   the server runs the real game and is in charge of the ball.
+ *   this keeps a copy of the game to draw, moved along between the states the server sends:
+ *   the player's own mitt moves right away with their input (prediction)
+ *   and the ball keeps flying the way it was going
+ *
+ *   each input is numbered and kept until the server says it has used it.
+ *   when a state comes in, the copy jumps to it, and the inputs the server
+ *   hasn't used yet are played again on top (reconciliation)
+ *
+ *   if the connection drops, it joins the room again with the same seat.
+ *   if it can't reach the server at all, it gives up with an error
+ *
+ *   host(): hosts a new room, the server sends back its code
+ *   join(code): joins a room
+ *   step(input, dt): sends an input and moves the copy along, returns events from the server
+ *   rematch(): asks for a new match once this one is over
+ *   onMessage(message): called with each message from the server (see server/index.mjs)
+ *   and { type: 'disconnected' } when the connection drops
+ *
+ * How to Use it:
+ *   const network = new NetworkClient({ url: 'ws://localhost:8080', settings, ctx });
+ *   network.join('ABCD');
+ *   let events = network.step({ dy: 1 }, 1000 / 60);
+ *   network.engine.ball.draw();
+ *
+ */
+
+import Engine from './engine.js';
+
+// wait this long before joining again after the connection drops
+const RECONNECT_DELAY = 1000;
+
+class NetworkClient {
+    constructor({ url, settings, colors, ctx, images, seat }) {
+        this.url = url;
+
+        // copy of the game, on the same screen size as the server's
+        this.engine = new Engine({ settings, colors, ctx, images });
+
+        // seat from an earlier visit, to join again: { code, player, token }
+        this.seat = seat || null;
+
+        this.status = 'connecting'; // connecting, waiting, playing, paused, closed
+        this.joined = false;
+        this.seq = 0;
+        this.pending = []; // inputs the server hasn't used yet
+        this.events = [];
+
+        this.onMessage = () => {};
+    }
+
+    host() {
+        this.connect({ type: 'host' });
+    }
+
+    join(code) {
+        let seat = this.seat && this.seat.code === code ? this.seat : {};
+        this.connect({ type: 'join', code: code, player: seat.player, token: seat.token });
+    }
+
+    connect(hello) {
+        this.hello = hello;
+        this.socket = new WebSocket(this.url);
+
+        this.socket.addEventListener('open', () => this.send(this.hello));
+        this.socket.addEventListener('message', ({ data }) => this.handleMessage(JSON.parse(data)));
+        this.socket.addEventListener('close', () => this.handleClose());
+        // a socket that never opened doesn't always close
+        this.socket.addEventListener('error', () => {
+            if (!this.joined) { this.handleClose(); }
+        });
+    }
+
+    close() {
+        this.status = 'closed';
+        if (this.socket) { this.socket.close(); }
+    }
+
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    handleMessage(message) {
+        if (message.type === 'joined') {
+            this.seat = { code: message.code, player: message.player, token: message.token };
+            this.joined = true;
+
+            // join this seat again if the connection drops
+            this.hello = { type: 'join', ...this.seat };
+        }
+
+        if (message.type === 'waiting') { this.status = 'waiting'; }
+        if (message.type === 'start' || message.type === 'resumed') {
+            this.status = 'playing';
+            this.engine.start();
+        }
+        if (message.type === 'paused') { this.status = 'paused'; }
+
+        if (message.type === 'state') {
+            this.engine.restore(message.state);
+            this.events.push(...message.events);
+            message.events.forEach(event => this.engine.animateEvent(event));
+            this.reconcile(message.ack[this.seat.player]);
+        }
+
+        if (message.type === 'error') { this.close(); }
+
+        this.onMessage(message);
+    }
+
+    handleClose() {
+        if (this.status === 'closed') { return; }
+
+        // never got in, the server isn't there
+        if (!this.joined) {
+            this.handleMessage({ type: 'error', message: 'Couldn\'t reach the game server' });
+            return;
+        }
+
+        this.status = 'connecting';
+        this.onMessage({ type: 'disconnected' });
+
+        setTimeout(() => {
+            if (this.status !== 'closed') { this.connect(this.hello); }
+        }, RECONNECT_DELAY);
+    }
+
+    // play the inputs the server hasn't used yet on top of its state
+    reconcile(ack) {
+        this.pending = this.pending.filter(({ seq }) => seq > ack);
+        this.pending.forEach(({ input, dt }) => this.predict(input, dt));
+    }
+
+    predict(input, dt) {
+        let m = this.engine.screen.scale * dt * 0.01;
+        this.engine.movePlayer(this.engine[this.seat.player], input, m);
+    }
+
+    step(input, dt) {
+        const { engine } = this;
+        const { ball } = engine;
+
+        // remember where characters were, for drawing between steps
+        engine.world.all().forEach(sprite => sprite.snapshot());
+
+        if (this.status !== 'playing') { return []; }
+
+        this.seq += 1;
+        this.send({ type: 'input', seq: this.seq, input: input });
+        this.pending.push({ seq: this.seq, input: input, dt: dt });
+
+        // own mitt moves right away
+        this.predict(input, dt);
+        engine.world.all().forEach(sprite => sprite.animate(dt));
+
+        // ball keeps flying until the server says where it is
+        if (ball.launched) {
+            let m = engine.screen.scale * dt * 0.01;
+            ball.move(m);
+        }
+
+        let events = this.events;
+        this.events = [];
+
+        return events;
+    }
+
+    rematch() {
+        this.send({ type: 'rematch' });
+    }
+}
+
+export default NetworkClient;
@@ -0,0 +1,131 @@
+/**
+ * game/objects/animation.js
+ *
+ * What it Does:
+ *   This file plays frame animations from a sprite sheet
+ *
+ *   sliceSheet(image, sheet): cuts a sprite sheet into frames, left to right then top to bottom.
+ *   sheet: { frameWidth, frameHeight, count, columns }, all optional.
+ *   frames are as tall as the image and square unless told otherwise,
+ *   so a strip of square frames needs no setup.
+ *   an image that isn't a strip of square frames is one frame
+ *
+ *   an animation has named clips, each a list of frames:
+ *   frames: frame numbers in the sheet, in the order they play
+ *   duration: milliseconds each frame shows, or a list with one for each frame
+ *   loop: true to play over and over, otherwise it plays once
+ *   next: clip to play when a one time clip ends (eg. back to 'idle')
+ *
+ *   play(name): starts a clip, a looping clip that is already playing carries on
+ *   update(dt): moves the clip along by dt milliseconds
+ *   onEnd(name): called when a one time clip ends
+ *
+ *   frame: the frame to draw now, { x, y, width, height } in the sheet (or null without a sheet)
+ *   progress: how far through the clip it is, 0 to 1
+ *
+ * How to Use it:
+ *   const animation = new Animation({ clips, frames: sliceSheet(image) });
+ *   animation.onEnd = (name) => console.log(name, 'ended');
+ *   animation.play('catch');
+ *   animation.update(16);
+ *
+ */
+
+const sliceSheet = (image, { frameWidth, frameHeight, count, columns } = {}) => {
+    if (!image || !image.width || !image.height) { return []; }
+
+    let height = frameHeight || image.height;
+    let width = frameWidth || (image.width % height === 0 ? height : image.width);
+    let across = columns || Math.max(1, Math.floor(image.width / width));
+    let down = Math.max(1, Math.floor(image.height / height));
+    let total = Math.min(count || across * down, across * down);
+
+    return Array.from({ length: total }, (_, i) => ({
+        x: (i % across) * width,
+        y: Math.floor(i / across) * height,
+        width: width,
+        height: height
+    }));
+}
+
+class Animation {
+    constructor({ clips = {}, frames = [] }) {
+        this.clips = clips;
+        this.frames = frames;
+
+        this.current = null;
+        this.index = 0; // frame in the clip
+        this.elapsed = 0; // time on this frame
+        this.ended = false;
+
+        this.onEnd = () => {};
+    }
+
+    play(name) {
+        let clip = this.clips[name];
+        if (!clip) { return; }
+
+        if (name === this.current && clip.loop) { return; }
+
+        this.current = name;
+        this.index = 0;
+        this.elapsed = 0;
+        this.ended = false;
+    }
+
+    // how long a frame in the clip shows
+    durationOf(clip, index) {
+        let duration = Array.isArray(clip.duration) ? clip.duration[index] : clip.duration;
+        return duration || 100;
+    }
+
+    update(dt) {
+        let clip = this.clips[this.current];
+        if (!clip || this.ended) { return; }
+
+        this.elapsed += dt;
+        while (this.elapsed >= this.durationOf(clip, this.index)) {
+            this.elapsed -= this.durationOf(clip, this.index);
+            this.index += 1;
+
+            if (this.index < clip.frames.length) { continue; }
+
+            if (clip.loop) {
+                this.index = 0;
+                continue;
+            }
+
+            // hold the last frame, and move on
+            let name = this.current;
+            this.index = clip.frames.length - 1;
+            this.elapsed = 0;
+            this.ended = true;
+
+            if (clip.next) { this.play(clip.next); }
+            this.onEnd(name);
+            return;
+        }
+    }
+
+    get frame() {
+        let clip = this.clips[this.current];
+        if (!clip || !this.frames.length) { return null; }
+
+        let number = clip.frames[this.index] || 0;
+        return this.frames[number % this.frames.length];
+    }
+
+    get progress() {
+        let clip = this.clips[this.current];
+        if (!clip) { return 0; }
+        if (this.ended) { return 1; }
+
+        let total = clip.frames.reduce((sum, _, i) => sum + this.durationOf(clip, i), 0);
+        let done = clip.frames.slice(0, this.index).reduce((sum, _, i) => sum + this.durationOf(clip, i), 0);
+
+        return (done + this.elapsed) / total;
+    }
+}
+
+export { sliceSheet };
+export default Animation;
@@ -1,18 +1,32 @@
 /**
  * game/objects/iamgeSprite.js
- * 
+ *
  * What it Does:
  *   This file is a basic image sprite it extends the sprite class
  *   and draws an image to the screen
- * 
+ *
+ *   the image can be a sprite sheet, cut into frames with options.sheet
+ *   (see sliceSheet in game/objects/animation.js), that plays named clips
+ *   from options.clips (eg. game/characters/animations.js)
+ *
+ *   play(name): starts a clip
+ *   animate(dt): moves the clip along, call once a step
+ *   onAnimationEnd(name): called when a one time clip ends
+ *
+ *   rotation: turns the image, in radians
+ *
+ *   setArtSize(width, height): draws the image at its own size, centered on the sprite,
+ *   so the art can be bigger or smaller than the box the sprite collides with
+ *
  * What to Change:
  *   Add any new methods you want all your
  *   game characters that are also sprites to have.
- *   eg. 
- * 
+ *   eg.
+ *
  */
 
 import Sprite from './sprite.js';
+import Animation, { sliceSheet } from './animation.js';
 
 class ImageSprite extends Sprite {
     constructor(options) {
@@ -20,26 +34,73 @@ class ImageSprite extends Sprite {
 
         this.ctx = options.ctx;
         this.image = options.image;
+
+        // rotation, and rotation at the start of the last step
+        this.rotation = 0;
+        this.sRotation = 0;
+
+        // size to draw the image, when it isn't the sprite's size
+        this.artWidth = null;
+        this.artHeight = null;
+
+        this.animation = new Animation({
+            clips: options.clips,
+            frames: options.sheet ? sliceSheet(this.image, options.sheet) : []
+        });
+        this.animation.onEnd = (name) => this.onAnimationEnd(name);
+        this.animation.play(options.clip || Object.keys(options.clips || {})[0]);
+
+        this.onAnimationEnd = () => {};
+    }
+
+    setArtSize(width, height) {
+        this.artWidth = width;
+        this.artHeight = height;
+    }
+
+    play(name) {
+        this.animation.play(name);
+    }
+
+    animate(dt) {
+        this.animation.update(dt);
     }
 
-    draw() {
+    snapshot() {
+        super.snapshot();
+        this.sRotation = this.rotation;
+    }
+
+    draw(alpha) {
+        // position in between simulation steps
+        let { x, y } = this.interpolate(alpha);
+        let rotation = this.sRotation + (this.rotation - this.sRotation) * alpha;
+        let frame = this.animation.frame;
+        let width = this.artWidth || this.width;
+        let height = this.artHeight || this.height;
+
         // save canvas context
         this.ctx.save();
 
-        // code for flipping image to match direction
-        let scaleX = this.direction === 'left' ? -1 : 1;
-        let xPosition = this.direction === 'left' ? -1 * this.x : this.x;
-        let trX = this.direction === 'left' ? this.width : 0;
-
-        this.ctx.translate(trX, 0);
-        this.ctx.scale(scaleX, 1);
+        // turn, and flip the image to match direction, around its middle
+        this.ctx.translate(x + this.width / 2, y + this.height / 2);
+        this.ctx.rotate(rotation);
+        if (this.direction === 'left') { this.ctx.scale(-1, 1); }
 
-        // draw the image to canvas
-        this.ctx.drawImage(this.image, xPosition, this.y, this.width, this.height);
+        // draw the image, or its frame of the sprite sheet, to canvas
+        if (frame) {
+            this.ctx.drawImage(
+                this.image,
+                frame.x, frame.y, frame.width, frame.height,
+                -width / 2, -height / 2, width, height
+            );
+        } else {
+            this.ctx.drawImage(this.image, -width / 2, -height / 2, width, height);
+        }
 
         // restore canvas context
         this.ctx.restore();
     }
 }
 
-export default ImageSprite;
\ No newline at end of file
+export default ImageSprite;
@@ -5,6 +5,7 @@
  *   This file is a basic sprite
  *   it implements abilities like move(x, y)
  *   speed, direction, velocity, and bounds
+ *   and interpolation between simulation steps for smooth drawing
  * 
  * What to Change:
  *   Add any new methods you want all your
@@ -14,7 +15,7 @@
  */
 
 class Sprite {
-    constructor({ x, y, width, height, speed, direction, bounds }) {
+    constructor({ x = 0, y = 0, width = 0, height = 0, speed, direction, bounds = {} }) {
         // x and y
         this.x = x;
         this.y = y;
@@ -23,6 +24,10 @@ class Sprite {
         this.px = x;
         this.py = x;
 
+        // x and y at the start of the last simulation step
+        this.sx = x;
+        this.sy = y;
+
         // center x and y
         this.cx = x + (width/2);
         this.cy = y + (height/2);
@@ -76,6 +81,21 @@ class Sprite {
         if (x > 0) { this.direction = 'left'; }
     }
 
+    // store the position at the start of a simulation step
+    snapshot() {
+        this.sx = this.x;
+        this.sy = this.y;
+    }
+
+    // position in between the last step and the current one
+    // alpha is 0 at the last step and 1 at the current one
+    interpolate(alpha = 1) {
+        return {
+            x: this.sx + (this.x - this.sx) * alpha,
+            y: this.sy + (this.y - this.sy) * alpha
+        };
+    }
+
     setX(x) {
         this.px = this.x; // store previous x value
         this.x = x; // set x
@@ -92,6 +112,16 @@ class Sprite {
         this.vy = this.y - this.py; // set velocity y
     }
 
+    setSize(width, height) {
+        this.width = width;
+        this.height = height;
+
+        this.radius = (width + height) / 4;
+
+        this.cx = this.x + (this.width/2); // set center x
+        this.cy = this.y + (this.height/2); // set center y
+    }
+
     setBounds({ top, right, bottom, left }) {
         let bounds = {
             top: top,
@@ -11,6 +11,28 @@
  *   hide(<node string>):
  *   hide is a helper that takes string matching the node to hide
  *   eg. hide('button')
+ *
+ *   setReplay(replay):
+ *   shows the replay controls for a replay from game/replay.js
+ *   with its time, speed, and if it's paused
+ *
+ *   setControls(controls, waiting):
+ *   shows the key for each action and player from game/controls.js
+ *   each key has data-player and data-action for the click handler
+ *   waiting is the { player, action } waiting for a new key
+ *
+ *   setStatsScreen(stats, levels, place):
+ *   shows the player's stats, record against each level, and high scores from game/stats.js
+ *   place is the high score just made (or -1), which can be renamed with #statsName
+ *
+ *   setMenu(items, focus):
+ *   shows the pause menu, items are { id, name, value } with the item at focus picked.
+ *   an item with a value is a setting, with arrows to step it.
+ *   items and arrows have data-menu (and arrows data-change) for the click handler
+ *
+ *   setDifficulty(levels, current):
+ *   shows a button for each computer difficulty level, with the current one picked
+ *   each button has its level name in data-level for the click handler
  *   
  * What to Change:
  *   changes to the overlay are mage here, index.html, and style.css
@@ -22,6 +44,13 @@
  * 
  */
 
+import { actions, actionNames, players, keyName } from './controls.js';
+
+// names people typed are shown as text, not html
+const escapeHtml = (text) => {
+    return String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
 class Overlay {
     constructor(node) {
         this.root = node;
@@ -31,14 +60,34 @@ class Overlay {
         this.loading = node.querySelector('#loading');
         this.banner = node.querySelector('#banner');
         this.button = node.querySelector('#button');
+        this.difficulty = node.querySelector('#difficulty');
+        this.online = node.querySelector('#online');
+        this.menu = node.querySelector('#menu');
 
         this.instructions = node.querySelector('#instructions');
+        this.zones = node.querySelector('#zones');
 
         this.score1 = node.querySelector('#score1');
         this.score2 = node.querySelector('#score2');
+        this.pitch1 = node.querySelector('#pitch1');
+        this.pitch2 = node.querySelector('#pitch2');
+        this.count = node.querySelector('#count');
+        this.seed = node.querySelector('#seed');
         this.mute = node.querySelector('#mute');
         this.pause = node.querySelector('#pause');
 
+        this.replayButton = node.querySelector('#replayButton');
+        this.replay = node.querySelector('#replay');
+        this.replayPlay = node.querySelector('#replayPlay');
+        this.replayScrub = node.querySelector('#replayScrub');
+        this.replayTime = node.querySelector('#replayTime');
+        this.replaySpeed = node.querySelector('#replaySpeed');
+        this.replayFile = node.querySelector('#replayFile');
+
+        this.controlsButton = node.querySelector('#controlsButton');
+        this.controls = node.querySelector('#controls');
+        this.stats = node.querySelector('#stats');
+
         this.styles = {};
     }
 
@@ -70,6 +119,55 @@ class Overlay {
         this.hide('button');
     }
 
+    setDifficulty(levels, current) {
+        this.difficulty.innerHTML = Object.keys(levels)
+        .map(key => {
+            let selected = key === current ? ' selected' : '';
+            return `<span class="level${selected}" data-level="${key}">${levels[key].name}</span>`;
+        })
+        .join('');
+
+        this.show('difficulty');
+    }
+
+    hideDifficulty() {
+        this.hide('difficulty');
+    }
+
+    setMenu(items, focus) {
+        this.menu.innerHTML = items.map((item, i) => {
+            let focused = i === focus ? ' focused' : '';
+            let text = item.name;
+
+            if (item.value !== undefined) {
+                text = `<span class="menuChange" data-menu="${item.id}" data-change="-1">‹</span>`
+                + `${item.name}: ${item.value}`
+                + `<span class="menuChange" data-menu="${item.id}" data-change="1">›</span>`;
+            }
+
+            return `<div class="menuItem${focused}" data-menu="${item.id}">${text}</div>`;
+        })
+        .join('');
+
+        this.show('menu');
+    }
+
+    hideMenu() {
+        this.hide('menu');
+    }
+
+    // host or join an online match
+    setOnline() {
+        this.online.innerHTML = '<span id="onlineHost" class="level">Host online</span>'
+        + '<span id="onlineJoin" class="level">Join online</span>';
+
+        this.show('online');
+    }
+
+    hideOnline() {
+        this.hide('online');
+    }
+
     setInstructions({ desktop, mobile }) {
         if( /Android|webOS|iPhone|iPad|iPod|BlackBerry/i.test(navigator.userAgent) ) {
             // show mobile instructions
@@ -87,9 +185,21 @@ class Overlay {
         this.hide('instructions');
     }
 
+    // left and right halves of the screen, for two players on one touch screen
+    showZones() {
+        this.show('zones');
+    }
+
+    hideZones() {
+        this.hide('zones');
+    }
+
     showStats() {
         this.show('score1');
         this.show('score2');
+        this.show('pitch1');
+        this.show('pitch2');
+        this.show('count');
     }
 
     setScore1(score) {
@@ -100,6 +210,33 @@ class Overlay {
         this.score2.textContent = `P2: ${score}`;
     }
 
+    // inning, balls and strikes, outs, and runners
+    // eg. Top 2 | 1-2 | 1 out | ◆◇◆
+    setCount({ inning, half, balls, strikes, outs, bases }) {
+        let runners = bases.map(onBase => onBase ? '◆' : '◇').join('');
+        let halfName = half === 'top' ? 'Top' : 'Bottom';
+
+        this.count.textContent = `${halfName} ${inning} | ${balls}-${strikes} | ${outs} out | ${runners}`;
+    }
+
+    setPitch1(pitch) {
+        this.pitch1.textContent = `P1 pitch: ${pitch}`;
+    }
+
+    setPitch2(pitch) {
+        this.pitch2.textContent = `P2 pitch: ${pitch}`;
+    }
+
+    // the match seed, so a match can be reported and played again
+    setSeed(seed) {
+        this.seed.textContent = `Seed: ${seed}`;
+        this.show('seed');
+    }
+
+    hideSeed() {
+        this.hide('seed');
+    }
+
     setStyles(styles) {
         this.styles = { ...this.styles, ...styles };
         this.applyStyles();
@@ -122,6 +259,96 @@ class Overlay {
         this.show('pause');
     }
 
+    showControlsButton() {
+        this.show('controlsButton');
+    }
+
+    setControls({ bindings }, waiting) {
+        const key = (player, action) => {
+            let isWaiting = waiting && waiting.player === player && waiting.action === action;
+            let text = isWaiting ? 'Press a key' : keyName(bindings[player][action]);
+
+            return `<span class="binding${isWaiting ? ' waiting' : ''}" data-player="${player}" data-action="${action}">${text}</span>`;
+        }
+
+        let header = players.map((player, i) => `<th>P${i + 1}</th>`).join('');
+        let rows = actions.map(action => {
+            let keys = players.map(player => `<td>${key(player, action)}</td>`).join('');
+            return `<tr><td>${actionNames[action]}</td>${keys}</tr>`;
+        }).join('');
+
+        this.controls.innerHTML = `<table><tr><th></th>${header}</tr>${rows}</table>`
+        + '<span id="controlsReset">Reset</span><span id="controlsDone">Done</span>';
+
+        this.show('controls');
+    }
+
+    hideControls() {
+        this.hide('controls');
+    }
+
+    setStatsScreen(stats, levels, place) {
+        const { catches, misses, longestRally, fastestCatch, record, highScores } = stats;
+        const rows = (cells) => cells.map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('');
+
+        let totals = rows([
+            ['Catches', catches],
+            ['Misses', misses],
+            ['Longest rally', longestRally],
+            ['Fastest catch', `${fastestCatch} mph`]
+        ]);
+
+        // wins-losses-ties against each level
+        let records = rows(Object.keys(levels).map(level => {
+            let { wins, losses, ties } = record[level];
+            return [levels[level].name, `${wins}-${losses}-${ties}`];
+        }));
+
+        let scores = highScores.map((entry, i) => {
+            let name = escapeHtml(entry.name);
+            // from before there were levels, or one that's gone since
+            let level = escapeHtml((levels[entry.difficulty] || {}).name || entry.difficulty || '');
+            if (i === place) { name = `<span id="statsName" title="Change name">${name}</span>`; }
+
+            return `<tr${i === place ? ' class="new"' : ''}><td>${i + 1}</td><td>${name}</td>`
+            + `<td>${entry.score}-${entry.against}</td><td>${level}</td></tr>`;
+        }).join('');
+
+        this.stats.innerHTML = `<table>${totals}</table><table>${records}</table>`
+        + `<table>${scores || '<tr><td>Beat the computer for a high score</td></tr>'}</table>`
+        + '<span id="statsDone">Done</span>';
+
+        this.show('stats');
+    }
+
+    hideStatsScreen() {
+        this.hide('stats');
+    }
+
+    showReplayButton() {
+        this.show('replayButton');
+    }
+
+    setReplay({ tick, length, paused, speed, log }) {
+        // m:ss of match time
+        const time = (ticks) => {
+            let seconds = Math.floor(ticks * log.step / 1000);
+            return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        }
+
+        this.replayPlay.textContent = paused ? 'play_arrow' : 'pause';
+        this.replayScrub.max = length;
+        this.replayScrub.value = tick;
+        this.replayTime.textContent = `${time(tick)} / ${time(length)}`;
+        this.replaySpeed.value = String(speed);
+
+        this.show('replay');
+    }
+
+    hideReplay() {
+        this.hide('replay');
+    }
+
     show(node) {
         this[node].active = true;
         this[node].style.visibility = 'visible';
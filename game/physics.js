@@ -0,0 +1,134 @@
+/**
+ * game/physics.js
+ *
+ * What it Does:
+ *   This file moves a ball by its velocity, so it can arc with gravity,
+ *   slow down with drag, curve with spin, and lose some bounce off a wall
+ *
+ *   a body is { position, velocity, spin, radius }
+ *   position: its center { x, y }
+ *   velocity: how far it moves for a speed of 1 { x, y } (see m in game/engine.js)
+ *   spin: how hard it curves, more than 0 curves clockwise (down while going right)
+ *
+ *   step(body, m, options): moves a body for one step, changing its velocity and spin on the way.
+ *   returns the path it took, [{ from, to }], a part for each bounce
+ *   options.walls: rectangles { x, y, width, height } it bounces off
+ *   options.impulse: any other change to its velocity this step { x, y }, eg. a pitch breaking
+ *
+ *   reachSpeed(speed, distance): how fast to send a body for it to still be going speed
+ *   once it's gone distance pixels, making up for drag
+ *
+ * What to Change:
+ *   gravity: how much velocity it gains down the screen for every speed of 1 it moves
+ *   drag: how much of its velocity it loses for every speed of 1 it moves
+ *   magnus: how much spin curves it
+ *   spinDrag: how much of its spin it loses for every speed of 1 it moves
+ *   restitution: how much of its velocity into a wall it keeps after the bounce,
+ *   1 bounces all the way back and 0 doesn't bounce
+ *
+ *   ballGravity, ballDrag, ballSpin and ballBounce in settings.json, see physicsFor.
+ *   they're kept inside ranges that still play: see ranges
+ *
+ * How to Use it:
+ *   const physics = new Physics({ gravity: 0.05, restitution: 0.8 });
+ *   let body = { position: { x: 0, y: 0 }, velocity: { x: 20, y: 0 }, spin: 0, radius: 10 };
+ *   let path = physics.step(body, 1, { walls: [{ x: -1000, y: 600, width: 3000, height: 20 }] });
+ *
+ */
+
+import { sweepCircleRect, reflect } from './helpers/collision.js';
+
+// most bounces in one step, eg. in a corner
+const MAX_BOUNCES = 4;
+
+// lowest and highest each setting can be, past these the ball is too slow or wild to play
+const ranges = {
+    gravity: [0, 1],
+    drag: [0, 0.05],
+    magnus: [0, 0.2],
+    restitution: [0, 1]
+};
+
+class Physics {
+    constructor({ gravity = 0, drag = 0, magnus = 0, spinDrag = 0, restitution = 1 } = {}) {
+        this.gravity = gravity;
+        this.drag = drag;
+        this.magnus = magnus;
+        this.spinDrag = spinDrag;
+        this.restitution = restitution;
+    }
+
+    step(body, m, { walls = [], impulse = { x: 0, y: 0 } } = {}) {
+        this.accelerate(body, m, impulse);
+        return this.travel(body, m, walls);
+    }
+
+    // change velocity and spin for one step
+    accelerate(body, m, impulse) {
+        let { velocity, spin } = body;
+
+        // spin pushes sideways to the way it's going
+        let curve = this.magnus * spin * m;
+        let x = velocity.x - velocity.y * curve + impulse.x;
+        let y = velocity.y + velocity.x * curve + impulse.y + this.gravity * m;
+
+        // drag takes the same share of velocity however fast it goes
+        let slow = Math.exp(-this.drag * m);
+
+        body.velocity = { x: x * slow, y: y * slow };
+        body.spin = spin * Math.exp(-this.spinDrag * m);
+    }
+
+    // drag takes off about drag speed for every pixel a body goes, whatever its speed
+    reachSpeed(speed, distance) {
+        return speed + this.drag * distance;
+    }
+
+    // move by velocity for one step, bouncing off walls on the way
+    travel(body, m, walls) {
+        let { radius } = body;
+        let move = { x: body.velocity.x * m, y: body.velocity.y * m };
+        let path = [];
+
+        for (let i = 0; i < MAX_BOUNCES; i += 1) {
+            let from = body.position;
+            let to = { x: from.x + move.x, y: from.y + move.y };
+
+            let contact = walls
+            .map(wall => sweepCircleRect(from, to, radius, wall))
+            .filter(found => found)
+            .sort((a, b) => a.time - b.time)[0];
+
+            body.position = contact ? contact.position : to;
+            path.push({ from: from, to: body.position });
+
+            if (!contact) { break; }
+
+            // bounce, and go the rest of the way in the new direction
+            let rest = { x: move.x * (1 - contact.time), y: move.y * (1 - contact.time) };
+
+            body.velocity = reflect(body.velocity, contact.normal, this.restitution);
+            move = reflect(rest, contact.normal, this.restitution);
+        }
+
+        return path;
+    }
+}
+
+// physics options from settings.json
+const physicsFor = ({ ballGravity, ballDrag, ballSpin, ballBounce }) => {
+    const number = (value, fallback, [min, max]) => {
+        let parsed = parseFloat(value);
+        return isNaN(parsed) ? fallback : Math.min(max, Math.max(min, parsed));
+    };
+
+    return {
+        gravity: number(ballGravity, 0, ranges.gravity),
+        drag: number(ballDrag, 0, ranges.drag),
+        magnus: number(ballSpin, 0, ranges.magnus),
+        restitution: number(ballBounce, 1, ranges.restitution)
+    };
+}
+
+export { physicsFor };
+export default Physics;
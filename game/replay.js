@@ -0,0 +1,262 @@
+/**
+ * game/replay.js
+ *
+ * What it Does:
+ *   This file records matches and plays them back.
+ *   The engine plays the same match for the same seed, settings, screen
+ *   and inputs, so a recording only needs to keep those.
+ *
+ *   Recorder: keeps the log of a match as it's played
+ *   record(inputs): call once per step with the inputs given to engine.step
+ *   layout(screen): call when the screen changes size
+ *   change(settings): call when the difficulty or win score changes during the match,
+ *   eg. change({ winScore: 5 })
+ *   toJSON(): the log, ready for JSON.stringify
+ *
+ *   inputs are kept as runs of steps with the same inputs, eg.
+ *   [120, { active: true }, { active: false }] is 120 steps of nobody doing anything
+ *
+ *   Replay: plays a log back in its own engine
+ *   advance(dt): moves the replay forward by dt milliseconds, times its speed
+ *   seek(tick): jumps to a step. going back plays the match again from the start
+ *   setSpeed(speed): 0.25 to 4 times as fast as the match was played
+ *
+ * How to Use it:
+ *   const recorder = new Recorder({ seed, settings, difficulty, screen, step });
+ *   recorder.record({ player1: input1, player2: input2 });
+ *
+ *   const replay = new Replay(recorder.toJSON(), { ctx, images });
+ *   replay.advance(1000 / 60);
+ *   replay.engine.ball.draw();
+ *
+ */
+
+import Engine, { cleanInput } from './engine.js';
+import { levelNames } from './ai/levels.js';
+
+const VERSION = 1;
+
+// replay speeds, from slowest to fastest
+const speeds = [0.25, 0.5, 1, 2, 4];
+
+// only keep the parts of an input that do something
+const compact = (input = {}) => {
+    return Object.keys(input)
+    .filter(key => input[key] || key === 'active' || typeof input[key] === 'number' && key === 'y')
+    .reduce((kept, key) => ({ ...kept, [key]: input[key] }), {});
+}
+
+class Recorder {
+    constructor({ seed, settings, colors = {}, difficulty, screen, step }) {
+        this.log = {
+            version: VERSION,
+            seed: seed,
+            config: {
+                settings: { ...settings },
+                colors: { ...colors }
+            },
+            difficulty: difficulty,
+            screen: { ...screen },
+            step: step,
+            layouts: [], // [tick, screen] for each time the screen changed
+            changes: [], // [tick, { difficulty, winScore }] for each setting changed
+            inputs: [] // [steps, player1, player2]
+        };
+
+        this.ticks = 0;
+        this.last = null; // last inputs as a string, to spot runs
+    }
+
+    record({ player1, player2 }) {
+        let inputs = [compact(player1), compact(player2)];
+        let key = JSON.stringify(inputs);
+
+        if (key === this.last) {
+            this.log.inputs[this.log.inputs.length - 1][0] += 1;
+        } else {
+            this.log.inputs.push([1, ...inputs]);
+            this.last = key;
+        }
+
+        this.ticks += 1;
+    }
+
+    layout(screen) {
+        this.log.layouts.push([this.ticks, { ...screen }]);
+    }
+
+    change(settings) {
+        this.log.changes.push([this.ticks, { ...settings }]);
+    }
+
+    toJSON() {
+        return {
+            ...this.log,
+            ticks: this.ticks
+        };
+    }
+}
+
+const plainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// a recorded input holds only what the engine reads, the way it reads it
+const validInput = (input) => {
+    if (!plainObject(input)) { return false; }
+
+    const { active, ...rest } = input;
+    if (active !== undefined && typeof active !== 'boolean') { return false; }
+
+    let clean = cleanInput(rest);
+    return Object.keys(rest).every(key => clean[key] === rest[key]);
+}
+
+const validScreen = (screen) => {
+    return plainObject(screen) && ['top', 'bottom', 'left', 'right', 'centerX', 'centerY', 'scale']
+    .every(key => Number.isFinite(screen[key]));
+}
+
+const validChange = ({ difficulty, winScore }) => {
+    return (difficulty === undefined || levelNames.includes(difficulty)) &&
+        (winScore === undefined || Number.isFinite(parseInt(winScore)));
+}
+
+// [tick, entry] for each layout or setting change
+const validEntries = (entries, valid) => {
+    return Array.isArray(entries) && entries.every(entry => {
+        return Array.isArray(entry) && Number.isInteger(entry[0]) && entry[0] >= 0 &&
+            plainObject(entry[1]) && valid(entry[1]);
+    });
+}
+
+// check a log read from a file, everything in it is played back as it is
+const parseLog = (json) => {
+    let log = typeof json === 'string' ? JSON.parse(json) : json;
+
+    const fail = () => { throw new Error('Not a match recording this game can play'); };
+
+    if (!log || log.version !== VERSION || !Array.isArray(log.inputs)) { fail(); }
+
+    // what the engine needs to play it back
+    const { screen, step, config, difficulty, layouts, changes = [], ticks } = log;
+    if (!validScreen(screen) || !(step > 0)) { fail(); }
+    if (!config || !plainObject(config.settings)) { fail(); }
+    if (difficulty !== undefined && !levelNames.includes(difficulty)) { fail(); }
+    if (!validEntries(layouts, validScreen) || !validEntries(changes, validChange)) { fail(); }
+    if (!Number.isInteger(ticks) || ticks < 0) { fail(); }
+
+    // each run is [steps, player1, player2], and the runs have to cover every step
+    let steps = log.inputs.reduce((total, run) => {
+        let valid = Array.isArray(run) && run.length === 3 && Number.isInteger(run[0]) && run[0] > 0 &&
+            validInput(run[1]) && validInput(run[2]);
+        return valid ? total + run[0] : NaN;
+    }, 0);
+    if (steps !== ticks) { fail(); }
+
+    return log;
+}
+
+class Replay {
+    constructor(log, { ctx, images } = {}) {
+        this.log = parseLog(log);
+        this.ctx = ctx;
+        this.images = images;
+
+        this.length = this.log.ticks;
+        this.speed = 1;
+        this.paused = false;
+
+        this.rewind();
+    }
+
+    // start over with a new engine, from the same seed
+    rewind() {
+        const { seed, config, difficulty, screen } = this.log;
+
+        this.engine = new Engine({
+            settings: config.settings,
+            colors: config.colors,
+            screen: screen,
+            seed: seed,
+            ctx: this.ctx,
+            images: this.images
+        });
+        this.engine.setDifficulty(difficulty);
+        this.engine.start();
+
+        this.tick = 0;
+        this.run = 0; // index of the input run we're in
+        this.runTick = 0; // steps into that run
+        this.layout = 0; // index of the next layout
+        this.change = 0; // index of the next setting change
+        this.accumulator = 0;
+        this.events = [];
+    }
+
+    // play one step of the log
+    step() {
+        if (this.done()) { return; }
+
+        const { layouts, inputs, changes = [] } = this.log;
+
+        while (this.layout < layouts.length && layouts[this.layout][0] <= this.tick) {
+            this.engine.layout(layouts[this.layout][1]);
+            this.layout += 1;
+        }
+
+        while (this.change < changes.length && changes[this.change][0] <= this.tick) {
+            let { difficulty, winScore } = changes[this.change][1];
+            if (difficulty !== undefined) { this.engine.setDifficulty(difficulty); }
+            if (winScore !== undefined) { this.engine.setWinScore(winScore); }
+            this.change += 1;
+        }
+
+        let [steps, player1, player2] = inputs[this.run];
+        let state = this.engine.step({ player1, player2 }, this.log.step);
+
+        this.runTick += 1;
+        if (this.runTick >= steps) {
+            this.run += 1;
+            this.runTick = 0;
+        }
+        this.tick += 1;
+
+        return state;
+    }
+
+    // play dt milliseconds of the match, at the replay speed
+    // returns the events that happened along the way
+    advance(dt) {
+        this.events = [];
+        if (this.paused || this.done()) { return this.events; }
+
+        this.accumulator += dt * this.speed;
+        while (this.accumulator >= this.log.step && !this.done()) {
+            let state = this.step();
+            this.events.push(...state.events);
+            this.accumulator -= this.log.step;
+        }
+
+        return this.events;
+    }
+
+    seek(tick) {
+        let to = Math.max(0, Math.min(parseInt(tick) || 0, this.length));
+
+        if (to < this.tick) { this.rewind(); }
+        while (this.tick < to) { this.step(); }
+
+        this.accumulator = 0;
+    }
+
+    setSpeed(speed) {
+        let number = parseFloat(speed);
+        this.speed = speeds.includes(number) ? number : 1;
+    }
+
+    done() {
+        return this.tick >= this.length;
+    }
+}
+
+export { Recorder, parseLog, speeds };
+export default Replay;
@@ -0,0 +1,275 @@
+/**
+ * game/rules.js
+ *
+ * What it Does:
+ *   This file keeps the book on a game of baseball:
+ *   the count (balls and strikes), outs, innings, runners on base, and runs.
+ *   It doesn't know anything about the screen, the engine tells it
+ *   how each pitch turned out and it works out what that means.
+ *
+ *   call(outcome): records how a pitch turned out and returns a list
+ *   of what happened because of it
+ *   outcomes: 'ball', 'strike', 'foul', 'out', 'single', 'double', 'triple', 'homeRun'
+ *   eg. rules.call('ball') might return [{ type: 'walk', player: 'player2' }]
+ *
+ *   player2 is the away team and bats in the top of each inning,
+ *   player1 is the home team and bats in the bottom.
+ *
+ * What to Change:
+ *   innings, mercy, and extra innings rules are in settings.json
+ *   innings: innings in a game
+ *   mercyRuns: a lead this big ends the game (0 for no mercy rule)
+ *   mercyInning: the mercy rule counts from this inning on
+ *   extraInnings: keep playing when tied after the last inning, or call it a tie
+ *   winScore: runs that win the game right away (0 to play all the innings)
+ *
+ */
+
+// bases each hit moves the batter
+const basesFor = {
+    single: 1,
+    double: 2,
+    triple: 3,
+    homeRun: 4
+};
+
+class Rules {
+    constructor({ innings, mercyRuns, mercyInning, extraInnings, winScore }) {
+        this.innings = parseInt(innings) || 9;
+        this.mercyRuns = parseInt(mercyRuns) || 0;
+        this.mercyInning = parseInt(mercyInning) || 0;
+        this.extraInnings = String(extraInnings) !== 'false';
+        this.winScore = parseInt(winScore) || 0;
+
+        this.inning = 1;
+        this.half = 'top';
+
+        this.balls = 0;
+        this.strikes = 0;
+        this.outs = 0;
+
+        // first, second, and third base
+        this.bases = [false, false, false];
+
+        this.runs = { player1: 0, player2: 0 };
+
+        // runs each team scored in each inning
+        this.lineScore = { player1: [], player2: [] };
+
+        this.over = false;
+        this.winner = null; // 'player1', 'player2', or null for a tie
+
+        this.events = [];
+    }
+
+    // team at bat
+    batting() {
+        return this.half === 'top' ? 'player2' : 'player1';
+    }
+
+    // team in the field
+    pitching() {
+        return this.half === 'top' ? 'player1' : 'player2';
+    }
+
+    call(outcome) {
+        this.events = [];
+
+        if (this.over) { return this.events; }
+
+        if (outcome === 'ball') {
+            this.balls += 1;
+            if (this.balls === 4) {
+                this.emit('walk', { player: this.batting() });
+                this.walk();
+            }
+        }
+
+        if (outcome === 'strike') {
+            this.strikes += 1;
+            if (this.strikes === 3) {
+                this.emit('strikeout', { player: this.batting() });
+                this.out();
+            }
+        }
+
+        // fouls are strikes, but can't be strike three
+        if (outcome === 'foul' && this.strikes < 2) {
+            this.strikes += 1;
+        }
+
+        if (outcome === 'out') {
+            this.out();
+        }
+
+        if (basesFor[outcome]) {
+            this.emit('hit', { player: this.batting(), hit: outcome });
+            this.advance(basesFor[outcome]);
+        }
+
+        this.checkGameOver();
+
+        return this.events;
+    }
+
+    // batter takes first, and runners move up only if they have to
+    walk() {
+        if (this.bases[0]) {
+            if (this.bases[1]) {
+                if (this.bases[2]) { this.score(1); }
+                this.bases[2] = true;
+            }
+            this.bases[1] = true;
+        }
+        this.bases[0] = true;
+
+        this.newBatter();
+    }
+
+    // batter and every runner move up the same number of bases
+    advance(count) {
+        let runners = [true, ...this.bases]; // batter is at home
+        let bases = [false, false, false];
+        let runs = 0;
+
+        runners.forEach((onBase, i) => {
+            if (!onBase) { return; }
+
+            let to = i + count;
+            if (to >= 4) {
+                runs += 1;
+            } else {
+                bases[to - 1] = true;
+            }
+        });
+
+        this.bases = bases;
+        this.score(runs);
+        this.newBatter();
+    }
+
+    out() {
+        this.outs += 1;
+        this.emit('out', { outs: this.outs });
+
+        if (this.outs === 3) {
+            this.endHalf();
+        } else {
+            this.newBatter();
+        }
+    }
+
+    score(runs) {
+        if (!runs) { return; }
+
+        let team = this.batting();
+        let inning = this.inning - 1;
+
+        this.runs[team] += runs;
+        this.lineScore[team][inning] = (this.lineScore[team][inning] || 0) + runs;
+
+        this.emit('run', { player: team, runs: runs });
+    }
+
+    newBatter() {
+        this.balls = 0;
+        this.strikes = 0;
+    }
+
+    endHalf() {
+        this.newBatter();
+        this.outs = 0;
+        this.bases = [false, false, false];
+
+        this.emit('side-retired', { inning: this.inning, half: this.half });
+
+        // check if the game ended with this half before starting the next one
+        this.checkGameOver(true);
+        if (this.over) { return; }
+
+        if (this.half === 'top') {
+            this.half = 'bottom';
+        } else {
+            this.half = 'top';
+            this.inning += 1;
+        }
+
+        this.emit('inning', { inning: this.inning, half: this.half });
+    }
+
+    // halfOver: true when checking at the end of a half inning
+    checkGameOver(halfOver = false) {
+        if (this.over) { return; }
+
+        const { player1, player2 } = this.runs;
+        let lead = Math.abs(player1 - player2);
+        let leader = player1 > player2 ? 'player1' : 'player2';
+        let lastInning = this.inning >= this.innings;
+
+        // first to winScore
+        if (this.winScore && Math.max(player1, player2) >= this.winScore) {
+            return this.end(leader);
+        }
+
+        // mercy rule, once both teams have batted in the inning:
+        // the home team can win it as soon as they're ahead in the bottom, or after the top,
+        // the away team only after the home team's last at-bat of the inning
+        let mercy = this.mercyRuns && lead >= this.mercyRuns && this.inning >= this.mercyInning;
+        let homeMercy = leader === 'player1' && (this.half === 'bottom' || halfOver);
+        let awayMercy = leader === 'player2' && this.half === 'bottom' && halfOver;
+        if (mercy && (homeMercy || awayMercy)) {
+            return this.end(leader);
+        }
+
+        // home team goes ahead in the bottom of the last inning
+        if (lastInning && this.half === 'bottom' && player1 > player2) {
+            return this.end('player1');
+        }
+
+        if (!halfOver || !lastInning) { return; }
+
+        // home team is ahead after the top of the last inning, no need for the bottom
+        if (this.half === 'top' && player1 > player2) {
+            return this.end('player1');
+        }
+
+        if (this.half === 'bottom') {
+            if (lead) { return this.end(leader); }
+            if (!this.extraInnings) { return this.end(null); }
+        }
+    }
+
+    end(winner) {
+        this.over = true;
+        this.winner = winner;
+
+        this.emit('game-over', { player: winner });
+    }
+
+    emit(type, data = {}) {
+        this.events.push({ type: type, ...data });
+    }
+
+    // plain copy of the book
+    getState() {
+        return {
+            inning: this.inning,
+            half: this.half,
+            balls: this.balls,
+            strikes: this.strikes,
+            outs: this.outs,
+            bases: [...this.bases],
+            runs: { ...this.runs },
+            lineScore: {
+                player1: [...this.lineScore.player1],
+                player2: [...this.lineScore.player2]
+            },
+            batting: this.batting(),
+            pitching: this.pitching(),
+            over: this.over,
+            winner: this.winner
+        };
+    }
+}
+
+export default Rules;
\ No newline at end of file
@@ -0,0 +1,74 @@
+/**
+ * game/states.js
+ *
+ * What it Does:
+ *   This file is a small state machine, for the flow of the game
+ *   (eg. title screen, then serving, then a live ball)
+ *
+ *   states: each state's hooks, all optional
+ *   enter(from, data): runs once when the state starts
+ *   exit(to): runs once when the state ends
+ *   update(dt): runs every step while in the state
+ *
+ *   transitions: the states each state can go to.
+ *   anything else is refused, so the game can't end up somewhere it shouldn't
+ *
+ *   go(to, data): moves to a state if the transition is allowed,
+ *   running the old state's exit and the new state's enter.
+ *   returns false if it isn't allowed
+ *   can(to): if go(to) is allowed
+ *   is(...names): if the current state is one of names
+ *   update(dt): runs the current state's update
+ *
+ * How to Use it:
+ *   const states = new StateMachine({
+ *       initial: 'title',
+ *       transitions: { title: ['play'], play: ['title'] },
+ *       states: { play: { enter: () => console.log('go!') } }
+ *   });
+ *   states.go('play');
+ *
+ */
+
+class StateMachine {
+    constructor({ states, transitions, initial }) {
+        this.states = states;
+        this.transitions = transitions;
+
+        this.current = initial;
+        this.previous = null;
+    }
+
+    can(to) {
+        let allowed = this.transitions[this.current] || [];
+        return !!this.states[to] && allowed.includes(to);
+    }
+
+    go(to, data) {
+        if (!this.can(to)) { return false; }
+
+        let from = this.current;
+        let leaving = this.states[from];
+        let entering = this.states[to];
+
+        if (leaving && leaving.exit) { leaving.exit(to); }
+
+        this.previous = from;
+        this.current = to;
+
+        if (entering.enter) { entering.enter(from, data); }
+
+        return true;
+    }
+
+    is(...names) {
+        return names.includes(this.current);
+    }
+
+    update(dt) {
+        let state = this.states[this.current];
+        if (state && state.update) { state.update(dt); }
+    }
+}
+
+export default StateMachine;
@@ -0,0 +1,171 @@
+/**
+ * game/stats.js
+ *
+ * What it Does:
+ *   This file keeps a player's stats between visits, in local storage
+ *
+ *   catches: balls caught
+ *   misses: balls that got past them
+ *   longestRally: most balls caught in a row without a miss
+ *   fastestCatch: fastest ball caught, in mph
+ *   record: wins, losses, and ties against the computer, for each difficulty level
+ *   highScores: the top 10 matches against the computer, by runs scored
+ *
+ *   record(event, { player, difficulty }): counts an engine event (see game/engine.js)
+ *   for player. difficulty is the computer's level, or null when a person is playing
+ *   the other side, which doesn't count toward the record or high scores
+ *   record returns the high score place (0 to 9) a finished match earned, or -1
+ *
+ *   rename(place, name): changes the name on a high score
+ *
+ *   stats are saved with a version, and older saves are moved up to the
+ *   latest version when they are loaded (see migrations)
+ *
+ * What to Change:
+ *   MPH: turns ball speed into miles per hour for the stats screen
+ *   add a migration and bump VERSION when the saved stats change shape
+ *
+ * How to Use it:
+ *   const stats = new Stats(prefix);
+ *   stats.record({ type: 'catch', player: 'player1', speed: 26 }, { player: 'player1', difficulty: 'normal' });
+ *   stats.data.catches; // 1
+ *
+ */
+
+import { levelNames } from './ai/levels.js';
+
+const VERSION = 1;
+
+// ball speeds are about 15 to 30
+const MPH = 3.5;
+
+// keep this many high scores
+const HIGH_SCORES = 10;
+
+const defaultName = 'Player';
+
+const emptyStats = () => ({
+    version: VERSION,
+    name: defaultName, // last name put on a high score
+    catches: 0,
+    misses: 0,
+    longestRally: 0,
+    fastestCatch: 0,
+    record: levelNames.reduce((all, level) => ({ ...all, [level]: { wins: 0, losses: 0, ties: 0 } }), {}),
+    highScores: [] // { name, score, against, difficulty, date }
+});
+
+// migrations[n] moves saved stats from version n to n + 1
+const migrations = [
+    // before versions, stats were only the mute flag, which is kept on its own
+    (data) => ({ ...emptyStats(), ...data, version: 1 })
+];
+
+class Stats {
+    constructor(prefix) {
+        this.key = prefix.concat('stats');
+        this.rally = 0; // balls caught in a row, this visit
+
+        this.data = this.load();
+    }
+
+    load() {
+        let data;
+        try {
+            data = JSON.parse(localStorage.getItem(this.key));
+        } catch (err) {
+            data = null;
+        }
+
+        if (!data || typeof data !== 'object') { return emptyStats(); }
+
+        let version = data.version || 0;
+        while (version < VERSION) {
+            data = migrations[version](data);
+            version = data.version;
+        }
+
+        // levels added since the stats were saved
+        data.record = { ...emptyStats().record, ...data.record };
+
+        return data;
+    }
+
+    save() {
+        localStorage.setItem(this.key, JSON.stringify(this.data));
+    }
+
+    record(event, { player, difficulty }) {
+        const { data } = this;
+        let place = -1;
+
+        if (event.type === 'catch' && event.player === player) {
+            this.rally += 1;
+
+            data.catches += 1;
+            data.longestRally = Math.max(data.longestRally, this.rally);
+            data.fastestCatch = Math.max(data.fastestCatch, Math.round((event.speed || 0) * MPH));
+        }
+
+        if (event.type === 'miss' && event.player === player) {
+            this.rally = 0;
+            data.misses += 1;
+        }
+
+        // a match against the computer is over
+        let over = event.type === 'win' || event.type === 'tie';
+        if (over && difficulty && data.record[difficulty]) {
+            let result = data.record[difficulty];
+            if (event.type === 'tie') {
+                result.ties += 1;
+            } else if (event.player === player) {
+                result.wins += 1;
+            } else {
+                result.losses += 1;
+            }
+
+            let other = player === 'player1' ? 'player2' : 'player1';
+            place = this.addHighScore({
+                name: data.name,
+                score: event.runs[player],
+                against: event.runs[other],
+                difficulty: difficulty,
+                date: Date.now()
+            });
+        }
+
+        if (['catch', 'miss', 'win', 'tie'].includes(event.type)) { this.save(); }
+
+        return place;
+    }
+
+    // put a score in the table, if it is good enough
+    // returns its place, or -1
+    addHighScore(entry) {
+        let scores = this.data.highScores;
+
+        // higher scores first, then bigger wins, then older scores
+        let place = scores.findIndex(({ score, against }) => {
+            return entry.score > score || (entry.score === score && entry.score - entry.against > score - against);
+        });
+        if (place === -1) { place = scores.length; }
+        if (place >= HIGH_SCORES) { return -1; }
+
+        scores.splice(place, 0, entry);
+        scores.length = Math.min(scores.length, HIGH_SCORES);
+
+        return place;
+    }
+
+    rename(place, name) {
+        let entry = this.data.highScores[place];
+        name = String(name || '').trim().slice(0, 12);
+        if (!entry || !name) { return; }
+
+        entry.name = name;
+        this.data.name = name;
+        this.save();
+    }
+}
+
+export default Stats;
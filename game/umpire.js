@@ -0,0 +1,90 @@
+/**
+ * game/umpire.js
+ *
+ * What it Does:
+ *   This file is the home plate umpire. It keeps the strike zone,
+ *   watches where each pitch crosses the plate, and calls it a ball or a strike.
+ *
+ *   setZone(batter): sets the strike zone when a pitch is thrown.
+ *   the zone is as tall as the batter times the strikeZone setting,
+ *   centered on where the batter stands, and the plate is the front of the batter
+ *
+ *   watch(ball): call every step while the pitch is in the air
+ *   to mark where it crosses the plate
+ *
+ *   call(ball, swung): calls the pitch once it reaches the catcher.
+ *   a swing or a pitch through the zone is a strike, anything else is a ball
+ *
+ *   announce(call, count): what the umpire shouts, eg. 'Strike two!' or 'Ball four'
+ *
+ * What to Change:
+ *   strikeZone in settings.json makes the zone taller or shorter
+ *
+ */
+
+const numbers = ['one', 'two', 'three', 'four'];
+
+class Umpire {
+    constructor({ strikeZone }) {
+        this.zoneScale = parseFloat(strikeZone) || 1;
+
+        this.zone = null;
+        this.crossedY = null; // center y of the ball where it crossed the plate
+    }
+
+    setZone(batter) {
+        let height = batter.height * this.zoneScale;
+
+        this.zone = {
+            x: batter.facing > 0 ? batter.x + batter.width : batter.x,
+            top: batter.cy - height / 2,
+            bottom: batter.cy + height / 2,
+            height: height,
+            facing: batter.facing
+        };
+
+        this.crossedY = null;
+    }
+
+    watch(ball) {
+        if (!this.zone || this.crossedY !== null) { return; }
+
+        // ball is at or behind the front of the plate
+        let crossed = (ball.cx - this.zone.x) * this.zone.facing <= 0;
+        if (crossed) { this.crossedY = ball.cy; }
+    }
+
+    // if any part of the ball was in the zone at the plate
+    inZone(ball) {
+        let y = this.crossedY !== null ? this.crossedY : ball.cy;
+        let radius = ball.height / 2;
+
+        return y + radius >= this.zone.top && y - radius <= this.zone.bottom;
+    }
+
+    call(ball, swung) {
+        let call = swung || this.inZone(ball) ? 'strike' : 'ball';
+
+        this.clear();
+
+        return call;
+    }
+
+    clear() {
+        this.zone = null;
+        this.crossedY = null;
+    }
+
+    // count: balls and strikes before this call
+    announce(call, { balls, strikes }) {
+        if (call === 'foul') { return 'Foul ball'; }
+
+        if (call === 'strike') {
+            return `Strike ${numbers[strikes]}!`;
+        }
+
+        return `Ball ${numbers[balls]}`;
+    }
+}
+
+export default Umpire;
\ No newline at end of file
@@ -0,0 +1,69 @@
+/**
+ * game/world.js
+ *
+ * What it Does:
+ *   This file keeps every character in the game, so the engine can move, draw,
+ *   and check collisions for all of them without naming each one
+ *
+ *   spawn(entity, options): adds an entity and returns it
+ *   options.tags: what kind of entity it is, eg. ['player'] or ['ball']
+ *   options.layer: the order to draw in, higher layers are drawn on top
+ *   despawn(entity): takes it out
+ *   has(entity): if it's in the world
+ *
+ *   all(tag): the entities with a tag, or every entity with no tag,
+ *   in the order they were added, which is the order they update in
+ *   collisions(mover, tag): what mover touched this step out of the entities with a tag,
+ *   see collisionsWith in game/characters/ball.js
+ *
+ *   draw(alpha, layer): draws the entities on a layer, or all of them with no layer,
+ *   bottom layer first
+ *
+ * How to Use it:
+ *   const world = new World();
+ *   world.spawn(ball, { tags: ['ball'], layer: 1 });
+ *   world.all('ball').forEach(ball => ball.move(m));
+ *   let touch = world.collisions(ball, 'player');
+ *
+ */
+
+class World {
+    constructor() {
+        this.entities = []; // { entity, tags, layer } in the order they were spawned
+    }
+
+    spawn(entity, { tags = [], layer = 0 } = {}) {
+        if (this.has(entity)) { return entity; }
+
+        this.entities.push({ entity: entity, tags: tags, layer: layer });
+        return entity;
+    }
+
+    despawn(entity) {
+        this.entities = this.entities.filter(entry => entry.entity !== entity);
+    }
+
+    has(entity) {
+        return this.entities.some(entry => entry.entity === entity);
+    }
+
+    all(tag) {
+        return this.entities
+        .filter(({ tags }) => !tag || tags.includes(tag))
+        .map(({ entity }) => entity);
+    }
+
+    collisions(mover, tag) {
+        return mover.collisionsWith(this.all(tag).filter(entity => entity !== mover));
+    }
+
+    draw(alpha, layer) {
+        this.entities
+        .filter(entry => layer === undefined || entry.layer === layer)
+        .map((entry, index) => ({ ...entry, index }))
+        .sort((a, b) => a.layer - b.layer || a.index - b.index)
+        .forEach(({ entity }) => entity.draw(alpha));
+    }
+}
+
+export default World;
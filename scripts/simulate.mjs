@@ -0,0 +1,78 @@
+/**
+ * scripts/simulate.mjs
+ *
+ * What it Does:
+ *   This file plays the game in node, with the computer playing both sides,
+ *   and prints a summary. Useful for checking how a change to the game rules
+ *   or settings plays out over many matches.
+ *
+ * How to Use it:
+ *   npm run simulate -- <matches> [player1 difficulty] [player2 difficulty]
+ *   eg. npm run simulate -- 1000
+ *   eg. npm run simulate -- 100 pro easy
+ *
+ *   settings come from .koji/customization/settings.json
+ *   match 1 is played from seed 1, match 2 from seed 2, and so on,
+ *   so a run gives the same summary every time
+ */
+
+import fs from 'fs';
+
+import Engine from '../game/engine.js';
+
+const STEP = 1000 / 60;
+
+// give up on a match after this much game time
+const MATCH_LIMIT = 60 * 60 * 1000;
+
+const matches = parseInt(process.argv[2]) || 100;
+const difficulty1 = process.argv[3];
+const difficulty2 = process.argv[4] || difficulty1;
+
+const { settings } = JSON.parse(fs.readFileSync(new URL('../.koji/customization/settings.json', import.meta.url)));
+
+const inputs = {
+    player1: { active: false },
+    player2: { active: false }
+};
+
+const totals = {
+    matches: 0,
+    timeouts: 0,
+    time: 0,
+    events: {}
+};
+
+for (let i = 0; i < matches; i += 1) {
+    const engine = new Engine({ settings, seed: i + 1 });
+    if (difficulty1) { engine.computers.player1.setLevel(difficulty1); }
+    if (difficulty2) { engine.computers.player2.setLevel(difficulty2); }
+    engine.start();
+
+    let done = false;
+    while (!done) {
+        const state = engine.step(inputs, STEP);
+
+        state.events.forEach(({ type, player, call }) => {
+            let key = [type, call || player].filter(k => k).join(' ');
+            totals.events[key] = (totals.events[key] || 0) + 1;
+
+            if (type === 'win' || type === 'tie') { done = true; }
+        });
+
+        if (state.time >= MATCH_LIMIT) {
+            totals.timeouts += 1;
+            done = true;
+        }
+    }
+
+    totals.matches += 1;
+    totals.time += engine.time;
+}
+
+console.log(`matches: ${totals.matches}`);
+console.log(`timed out: ${totals.timeouts}`);
+console.log(`average match: ${(totals.time / totals.matches / 1000).toFixed(2)}s`);
+Object.keys(totals.events).sort().forEach(key => {
+    console.log(`${key}: ${totals.events[key]}`);
+});
@@ -0,0 +1,121 @@
+/**
+ * server/index.mjs
+ *
+ * What it Does:
+ *   This file is the game server for online matches.
+ *   Players connect with a WebSocket, host a room and get a room code,
+ *   or join a room with its code. See server/rooms.mjs for the match itself
+ *
+ *   messages from players (JSON):
+ *   { type: 'host' }
+ *   { type: 'join', code: 'ABCD' }
+ *   { type: 'join', code: 'ABCD', player: 'player2', token } to join again after dropping out
+ *   { type: 'input', seq: 12, input: { dy, y, launch, swing, pitch } }
+ *   { type: 'rematch' }
+ *
+ *   messages to players:
+ *   joined, waiting, start, state, paused, resumed, error
+ *
+ * How to Use it:
+ *   npm run server
+ *   PORT=9000 npm run server
+ *
+ *   then set serverUrl in .koji/customization/settings.json to ws://localhost:8080
+ *
+ *   settings come from .koji/customization/settings.json
+ */
+
+import fs from 'fs';
+import http from 'http';
+
+import { accept } from './websocket.mjs';
+import Room, { roomCode, STEP } from './rooms.mjs';
+
+const PORT = parseInt(process.env.PORT) || 8080;
+
+// drop a room nobody has been in for this long
+const ROOM_TIMEOUT = 2 * 60 * 1000;
+
+const { settings } = JSON.parse(fs.readFileSync(new URL('../.koji/customization/settings.json', import.meta.url)));
+
+const rooms = new Map();
+
+const hostRoom = () => {
+    let code = roomCode();
+    while (rooms.has(code)) { code = roomCode(); }
+
+    let room = new Room(code, settings);
+    rooms.set(code, room);
+
+    return room;
+}
+
+const handleConnection = (connection) => {
+    let room = null;
+    let player = null;
+
+    const error = (message) => connection.send(JSON.stringify({ type: 'error', message }));
+
+    connection.on('message', text => {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (err) {
+            return error('Messages must be JSON');
+        }
+
+        if (message.type === 'host' && !room) {
+            room = hostRoom();
+            player = room.join(connection);
+        }
+
+        if (message.type === 'join' && !room) {
+            let joining = rooms.get(String(message.code || '').toUpperCase());
+            if (!joining) { return error('No room with that code'); }
+
+            player = joining.join(connection, message);
+            if (!player) { return error('That room is full'); }
+
+            room = joining;
+        }
+
+        if (!room) { return; }
+
+        if (message.type === 'input') { room.input(player, message); }
+        if (message.type === 'rematch') { room.rematch(); }
+    });
+
+    connection.on('close', () => {
+        if (room) { room.leave(player, connection); }
+    });
+}
+
+const server = http.createServer((request, response) => {
+    response.writeHead(200, { 'Content-Type': 'text/plain' });
+    response.end(`${settings.name} server, ${rooms.size} rooms\n`);
+});
+
+server.on('upgrade', (request, socket) => {
+    let connection = accept(request, socket);
+    if (connection) { handleConnection(connection); }
+});
+
+// run every room, and clear out empty ones
+let last = Date.now();
+setInterval(() => {
+    let now = Date.now();
+    let dt = now - last;
+    last = now;
+
+    rooms.forEach((room, code) => {
+        room.update(dt);
+
+        if (room.empty() && now - room.emptySince > ROOM_TIMEOUT) {
+            rooms.delete(code);
+        }
+    });
+}, STEP);
+
+server.listen(PORT, () => {
+    console.log(`game server on ws://localhost:${PORT}`);
+});
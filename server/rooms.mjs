@@ -0,0 +1,216 @@
+/**
+ * server/rooms.mjs
+ *
+ * What it Does:
+ *   This file is a game room for two players online.
+ *   The room runs the only real game engine for the match (the server is in charge
+ *   of the ball), steps it with the inputs the players send,
+ *   and sends everyone the game state a few times a second
+ *
+ *   each input a player sends has a number (seq). the state says the last
+ *   input it used for each player (ack), so a player's game can put back
+ *   any moves the server hasn't seen yet (see game/network.js)
+ *
+ *   a player who drops out pauses the match, and can join again with their token
+ *
+ * What to Change:
+ *   SEND_EVERY: how many steps between each state sent to the players
+ *
+ */
+
+import crypto from 'crypto';
+
+import Engine, { cleanInput } from '../game/engine.js';
+import { randomSeed } from '../game/helpers/utils.js';
+
+const STEP = 1000 / 60;
+
+// send the state every few steps, 20 times a second
+const SEND_EVERY = 3;
+
+// inputs a player can be ahead before they are squashed into one
+const MAX_QUEUE = 6;
+
+const seats = ['player1', 'player2'];
+
+// letters that can't be mixed up
+const letters = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+
+const roomCode = () => {
+    return Array.from({ length: 4 }, () => letters[Math.floor(Math.random() * letters.length)]).join('');
+}
+
+// squash a run of inputs into one, keeping any launch, swing, and pitch in it
+const squash = (inputs) => {
+    return inputs.reduce((all, { input }) => ({
+        ...input,
+        launch: all.launch || input.launch,
+        swing: all.swing || input.swing,
+        pitch: input.pitch || all.pitch
+    }), {});
+}
+
+class Room {
+    constructor(code, settings) {
+        this.code = code;
+        this.engine = new Engine({ settings, seed: randomSeed() });
+
+        this.seats = {
+            player1: null,
+            player2: null
+        };
+
+        this.started = false;
+        this.paused = false;
+        this.tick = 0;
+        this.accumulator = 0;
+        this.events = [];
+        this.emptySince = Date.now();
+    }
+
+    // sit a connection down, in a free seat or the seat their token is for
+    join(connection, { player, token } = {}) {
+        let seat = seats.find(name => {
+            let taken = this.seats[name];
+            if (player && token) { return name === player && taken && taken.token === token; }
+            return !taken;
+        });
+
+        if (!seat) { return null; }
+
+        let taken = this.seats[seat];
+        this.seats[seat] = {
+            connection: connection,
+            token: taken ? taken.token : crypto.randomUUID(),
+            queue: [],
+            held: {}, // last input, kept while no new ones come
+            ack: taken ? taken.ack : 0
+        };
+
+        connection.send(JSON.stringify({
+            type: 'joined',
+            code: this.code,
+            player: seat,
+            token: this.seats[seat].token
+        }));
+
+        if (this.full()) {
+            if (!this.started) {
+                this.started = true;
+                this.engine.start();
+                this.broadcast({ type: 'start' });
+            } else {
+                this.paused = false;
+                this.broadcast({ type: 'resumed' });
+            }
+            this.send();
+        } else {
+            connection.send(JSON.stringify({ type: 'waiting' }));
+        }
+
+        return seat;
+    }
+
+    // a player dropped out, hold their seat and wait for them
+    // connection: the one that closed, a player who already joined again
+    // on a new connection keeps playing
+    leave(player, connection) {
+        let seat = this.seats[player];
+        if (!seat || seat.connection !== connection) { return; }
+
+        seat.connection = null;
+        this.paused = true;
+        this.broadcast({ type: 'paused', player: player });
+
+        if (this.empty()) { this.emptySince = Date.now(); }
+    }
+
+    input(player, { seq, input }) {
+        let seat = this.seats[player];
+        if (!seat || !Number.isFinite(seq) || !input || typeof input !== 'object') { return; }
+
+        seat.queue.push({ seq, input: cleanInput(input) });
+    }
+
+    // start a new match once this one is over
+    rematch() {
+        let over = this.engine.state.current !== 'play';
+        if (!this.started || !over) { return; }
+
+        this.engine.resetMatch(randomSeed());
+        this.broadcast({ type: 'start' });
+        this.send();
+    }
+
+    // run the steps for dt milliseconds
+    update(dt) {
+        if (!this.started || this.paused) { return; }
+
+        this.accumulator += dt;
+        while (this.accumulator >= STEP) {
+            this.step();
+            this.accumulator -= STEP;
+        }
+    }
+
+    step() {
+        let inputs = {};
+
+        seats.forEach(name => {
+            let seat = this.seats[name];
+
+            // one input a step, unless a player is far ahead
+            let taken = seat.queue.length > MAX_QUEUE ? seat.queue.splice(0) : seat.queue.splice(0, 1);
+            if (taken.length) {
+                let input = squash(taken);
+                seat.held = { dy: input.dy, y: input.y };
+                seat.ack = taken[taken.length - 1].seq;
+                inputs[name] = { ...input, active: true };
+            } else {
+                inputs[name] = { ...seat.held, active: true };
+            }
+        });
+
+        let state = this.engine.step(inputs, STEP);
+        this.events.push(...state.events);
+
+        this.tick += 1;
+        if (this.tick % SEND_EVERY === 0) { this.send(); }
+    }
+
+    // send everyone the game state, and what happened since the last one
+    send() {
+        this.broadcast({
+            type: 'state',
+            tick: this.tick,
+            ack: {
+                player1: this.seats.player1 ? this.seats.player1.ack : 0,
+                player2: this.seats.player2 ? this.seats.player2.ack : 0
+            },
+            state: this.engine.serialize(),
+            events: this.events
+        });
+
+        this.events = [];
+    }
+
+    broadcast(message) {
+        let text = JSON.stringify(message);
+
+        seats.forEach(name => {
+            let seat = this.seats[name];
+            if (seat && seat.connection) { seat.connection.send(text); }
+        });
+    }
+
+    full() {
+        return seats.every(name => this.seats[name] && this.seats[name].connection);
+    }
+
+    empty() {
+        return seats.every(name => !this.seats[name] || !this.seats[name].connection);
+    }
+}
+
+export { roomCode, STEP };
+export default Room;
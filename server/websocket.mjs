@@ -0,0 +1,205 @@
+/**
+ * server/websocket.mjs
+ *
+ * What it Does:
+ *   This file is a small WebSocket server connection, just enough for the game:
+ *   the opening handshake, text messages, ping and pong, and closing.
+ *   https://datatracker.ietf.org/doc/html/rfc6455
+ *
+ *   accept(request, socket): answers an http upgrade request,
+ *   and returns a connection
+ *
+ *   connection.send(text): sends a text message
+ *   connection.close(): closes the connection
+ *   connection.on('message', text => {}), connection.on('close', () => {})
+ *
+ * How to Use it:
+ *   server.on('upgrade', (request, socket) => {
+ *       const connection = accept(request, socket);
+ *       connection.on('message', text => connection.send(text));
+ *   });
+ *
+ */
+
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// biggest message we'll take from a client
+const MAX_MESSAGE = 64 * 1024;
+
+const opcodes = {
+    continuation: 0x0,
+    text: 0x1,
+    binary: 0x2,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xA
+};
+
+// a frame from the server, which is never masked
+const frame = (opcode, payload = Buffer.alloc(0)) => {
+    let length = payload.length;
+    let header;
+
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 0x10000) {
+        header = Buffer.alloc(4);
+        header.writeUInt8(0x80 | opcode, 0);
+        header.writeUInt8(126, 1);
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header.writeUInt8(0x80 | opcode, 0);
+        header.writeUInt8(127, 1);
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+
+    return Buffer.concat([header, payload]);
+}
+
+class Connection extends EventEmitter {
+    constructor(socket) {
+        super();
+
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.fragmentsLength = 0; // bytes in fragments so far
+        this.closed = false;
+
+        socket.on('data', data => this.receive(data));
+        socket.on('close', () => this.end());
+        socket.on('error', () => this.end());
+    }
+
+    send(text) {
+        if (this.closed) { return; }
+
+        this.socket.write(frame(opcodes.text, Buffer.from(text)));
+    }
+
+    close(code = 1000) {
+        if (this.closed) { return; }
+
+        let payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+
+        this.socket.end(frame(opcodes.close, payload));
+        this.end();
+    }
+
+    end() {
+        if (this.closed) { return; }
+
+        this.closed = true;
+        this.socket.destroy();
+        this.emit('close');
+    }
+
+    // read every whole frame in the buffer
+    receive(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+
+        let read = this.readFrame();
+        while (read && !this.closed) {
+            this.handleFrame(read);
+            read = this.readFrame();
+        }
+    }
+
+    readFrame() {
+        let buffer = this.buffer;
+        if (buffer.length < 2) { return null; }
+
+        let fin = (buffer[0] & 0x80) !== 0;
+        let opcode = buffer[0] & 0x0F;
+        let masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7F;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buffer.length < 4) { return null; }
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) { return null; }
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+
+        // clients must mask, and we don't take huge messages
+        if (!masked || length > MAX_MESSAGE) {
+            this.close(1002);
+            return null;
+        }
+
+        if (buffer.length < offset + 4 + length) { return null; }
+
+        let mask = buffer.subarray(offset, offset + 4);
+        let payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i += 1) {
+            payload[i] ^= mask[i % 4];
+        }
+
+        this.buffer = buffer.subarray(offset + 4 + length);
+
+        return { fin, opcode, payload };
+    }
+
+    handleFrame({ fin, opcode, payload }) {
+        if (opcode === opcodes.ping) {
+            this.socket.write(frame(opcodes.pong, payload));
+            return;
+        }
+
+        if (opcode === opcodes.pong) { return; }
+
+        if (opcode === opcodes.close) {
+            this.close();
+            return;
+        }
+
+        // messages can come in pieces, but no bigger than MAX_MESSAGE all together
+        this.fragments.push(payload);
+        this.fragmentsLength += payload.length;
+        if (this.fragmentsLength > MAX_MESSAGE) {
+            this.close(1009);
+            return;
+        }
+        if (!fin) { return; }
+
+        let message = Buffer.concat(this.fragments);
+        this.fragments = [];
+        this.fragmentsLength = 0;
+
+        this.emit('message', message.toString());
+    }
+}
+
+const accept = (request, socket) => {
+    let key = request.headers['sec-websocket-key'];
+    let upgrade = (request.headers.upgrade || '').toLowerCase();
+
+    if (!key || upgrade !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+
+    let acceptKey = crypto.createHash('sha1').update(key + GUID).digest('base64');
+
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${acceptKey}`,
+        '',
+        ''
+    ].join('\r\n'));
+
+    return new Connection(socket);
+}
+
+export { accept, Connection };